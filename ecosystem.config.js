@@ -8,6 +8,9 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '500M',
+    // Shutdown waits up to 10s for handler trees to exit (server.js stopHandler);
+    // PM2's default of 1.6s would SIGKILL the hub first and orphan them
+    kill_timeout: 15000,
     env: {
       NODE_ENV: 'production',
       PORT: 6000
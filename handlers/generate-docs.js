@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Generation Handler
+ *
+ * Runs the documentation pipeline (lib/docs-pipeline.js) for one project:
+ * Cartographer in a temporary worktree pinned to COMMIT_SHA, then delivery as
+ * set by DELIVERY_MODE - a PR through the GitHub REST API (`pr`, default), a
+ * commit to the default branch (`direct`) or files under ARTIFACTS_DIR
+ * (`artifact`). The documents (DOC_OUTPUTS) go under DOCS_PATH, the map to
+ * CODEBASE_MAP_FILE, and pass the QUALITY_GATE checks before delivery.
+ *
+ * Usage: node generate-docs.js <project-name>
+ *
+ * Exit codes: 0 success or no changes, 1 step failed (retryable),
+ * 2 configuration error, budget limit or blocking quality gate, 128 git
+ * failed. When PIPELINE_RESULT_FILE is set the outcome is also written there
+ * as JSON for the hub.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runDocsPipeline } = require('../lib/docs-pipeline');
+const { createGitHubClient, DEFAULT_API_URL } = require('../lib/github-api');
+const { PipelineError, ConfigurationError, NoChangesError } = require('../lib/pipeline-errors');
+const { DEFAULT_TEMPLATES } = require('../lib/templates');
+const { resolveQualityGate } = require('../lib/doc-quality');
+
+const env = process.env;
+
+function writeResult(result) {
+  if (!env.PIPELINE_RESULT_FILE) return;
+  try {
+    fs.mkdirSync(path.dirname(env.PIPELINE_RESULT_FILE), { recursive: true });
+    fs.writeFileSync(env.PIPELINE_RESULT_FILE, JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(`Warning: could not write pipeline result: ${error.message}`);
+  }
+}
+
+// DOC_OUTPUTS: JSON list of document types from the registry; default is the map only
+function parseDocuments(value) {
+  if (!value) return null;
+  try {
+    const documents = JSON.parse(value);
+    if (Array.isArray(documents)) return documents;
+  } catch {
+    // fall through
+  }
+  throw new ConfigurationError(`DOC_OUTPUTS must be a JSON array of document types: ${value}`);
+}
+
+// QUALITY_GATE: JSON object from the registry; the defaults fill in what it leaves out
+function parseQualityGate(value) {
+  if (!value) return resolveQualityGate();
+  try {
+    const gate = JSON.parse(value);
+    if (gate && typeof gate === 'object' && !Array.isArray(gate)) return resolveQualityGate({}, { quality_gate: gate });
+  } catch {
+    // fall through
+  }
+  throw new ConfigurationError(`QUALITY_GATE must be a JSON object: ${value}`);
+}
+
+// Pull requests need a token; the anthropic provider needs the CLI and an API
+// key, the mock provider runs offline
+function checkConfiguration(llmProvider, deliveryMode) {
+  if (deliveryMode === 'pr' && !env.GITHUB_TOKEN) {
+    throw new ConfigurationError('GITHUB_TOKEN must be set to open pull requests');
+  }
+  if (llmProvider !== 'anthropic') return;
+
+  const claudePath = env.CLAUDE_CODE_PATH || '/usr/local/bin/claude';
+  try {
+    fs.accessSync(claudePath, fs.constants.X_OK);
+  } catch {
+    throw new ConfigurationError(`Claude Code CLI not found or not executable: ${claudePath}`);
+  }
+  if (!env.ANTHROPIC_API_KEY && !env.CLAUDE_API_KEY) {
+    throw new ConfigurationError('ANTHROPIC_API_KEY or CLAUDE_API_KEY must be set');
+  }
+}
+
+async function main() {
+  const projectName = process.argv[2];
+  if (!projectName) {
+    console.error('Error: Project name required');
+    console.error('Usage: generate-docs.js <project-name>');
+    process.exit(1);
+  }
+
+  // Cancellation and timeouts arrive as SIGTERM, `pm2 stop`/`restart` as SIGINT:
+  // either stops the current step, then cleans up
+  const controller = new AbortController();
+  let stopSignal = null;
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      stopSignal = stopSignal || signal;
+      controller.abort();
+    });
+  }
+
+  const llmProvider = env.LLM_PROVIDER || 'anthropic';
+  env.LLM_PROVIDER = llmProvider;
+  env.ANTHROPIC_API_KEY = env.ANTHROPIC_API_KEY || env.CLAUDE_API_KEY || '';
+  env.CLAUDE_API_KEY = env.CLAUDE_API_KEY || env.ANTHROPIC_API_KEY;
+
+  try {
+    const deliveryMode = env.DELIVERY_MODE || 'pr';
+    checkConfiguration(llmProvider, deliveryMode);
+
+    const result = await runDocsPipeline({
+      projectName,
+      workspacePath: env.WORKSPACE_PATH || `/home/ubuntu/workspace/${projectName}`,
+      github: createGitHubClient({ token: env.GITHUB_TOKEN, apiUrl: env.GITHUB_API_URL || DEFAULT_API_URL }),
+      repoOwner: env.REPO_OWNER || null,
+      repoName: env.REPO_NAME || null,
+      defaultBranch: env.DEFAULT_BRANCH || 'main',
+      commitSha: env.COMMIT_SHA && env.COMMIT_SHA !== 'unknown' ? env.COMMIT_SHA : null,
+      triggerEvent: env.TRIGGER_EVENT || 'manual',
+      deliveryMode,
+      artifactsDir: env.ARTIFACTS_DIR || path.join(__dirname, '..', 'artifacts'),
+      docsPath: env.DOCS_PATH || 'docs',
+      mapFile: env.CODEBASE_MAP_FILE || null,
+      documents: parseDocuments(env.DOC_OUTPUTS),
+      qualityGate: parseQualityGate(env.QUALITY_GATE),
+      branchPrefix: env.PR_BRANCH_PREFIX || 'docs/auto-update-',
+      worktreeRoot: env.WORKTREE_ROOT || env.TMPDIR || '/tmp',
+      templates: {
+        pr_title: env.PR_TITLE_TEMPLATE || DEFAULT_TEMPLATES.pr_title,
+        pr_body: env.PR_BODY_TEMPLATE || DEFAULT_TEMPLATES.pr_body,
+        commit_message: env.COMMIT_MESSAGE_TEMPLATE || DEFAULT_TEMPLATES.commit_message
+      },
+      signal: controller.signal,
+      onOutput: (stream, data) => process[stream].write(data)
+    });
+
+    writeResult(result);
+    process.exit(0);
+  } catch (error) {
+    if (error instanceof NoChangesError) {
+      console.log('No changes detected in documentation');
+      writeResult({ outcome: 'no_changes' });
+      process.exit(0);
+    }
+
+    const failure = error instanceof PipelineError ? error : new PipelineError(error.message, { code: 'UNEXPECTED' });
+    console.error(`Error: ${failure.message}`);
+    writeResult({ outcome: 'failed', error: failure.toJSON() });
+    process.exit(stopSignal ? 128 + os.constants.signals[stopSignal] : failure.exitCode);
+  }
+}
+
+main();
@@ -6,6 +6,11 @@
 # Restarts application services after documentation PR is merged
 #
 # Usage: ./restart-service.sh <project-name>
+#
+# Exit codes:
+#   0 - service restarted and verified
+#   1 - restart step failed
+#   3 - service restarted but did not come back online (pm2/docker/systemd check)
 ###############################################################################
 
 set -euo pipefail
@@ -16,6 +21,8 @@ GREEN='\033[0;32m'
 YELLOW='\033[1;33m'
 NC='\033[0m' # No Color
 
+EXIT_NOT_ONLINE=3
+
 # Input validation
 if [ -z "${1:-}" ]; then
     echo -e "${RED}Error: Project name required${NC}"
@@ -28,6 +35,7 @@ SERVICE_TYPE="${SERVICE_TYPE:-pm2}"
 SERVICE_NAME="${SERVICE_NAME:-$PROJECT_NAME}"
 RESTART_COMMAND="${RESTART_COMMAND:-pm2 restart $SERVICE_NAME}"
 WORKSPACE_PATH="${WORKSPACE_PATH:-/home/ubuntu/workspace/$PROJECT_NAME}"
+DEFAULT_BRANCH="${DEFAULT_BRANCH:-main}"
 
 echo -e "${GREEN}=== Restarting Service ===${NC}"
 echo "Project: $PROJECT_NAME"
@@ -43,8 +51,8 @@ cd "$WORKSPACE_PATH" || {
 # Pull latest changes (including merged documentation)
 echo -e "${YELLOW}Pulling latest changes...${NC}"
 git fetch origin
-git checkout main
-git pull origin main
+git checkout "$DEFAULT_BRANCH"
+git pull origin "$DEFAULT_BRANCH"
 
 # Restart service based on type
 echo -e "${YELLOW}Restarting service...${NC}"
@@ -67,8 +75,9 @@ case "$SERVICE_TYPE" in
             if pm2 list | grep "$SERVICE_NAME" | grep -q "online"; then
                 echo -e "${GREEN}Service restarted successfully${NC}"
             else
-                echo -e "${RED}Warning: Service may not be running properly${NC}"
-                pm2 logs "$SERVICE_NAME" --lines 20
+                echo -e "${RED}Error: Service is not online after restart${NC}"
+                pm2 logs "$SERVICE_NAME" --lines 20 --nostream || true
+                exit $EXIT_NOT_ONLINE
             fi
         else
             echo -e "${YELLOW}Service not found in PM2, attempting to start...${NC}"
@@ -97,8 +106,9 @@ case "$SERVICE_TYPE" in
         if docker ps | grep -q "$SERVICE_NAME"; then
             echo -e "${GREEN}Container restarted successfully${NC}"
         else
-            echo -e "${RED}Warning: Container may not be running${NC}"
-            docker logs "$SERVICE_NAME" --tail 20
+            echo -e "${RED}Error: Container is not running after restart${NC}"
+            docker logs "$SERVICE_NAME" --tail 20 || true
+            exit $EXIT_NOT_ONLINE
         fi
         ;;
 
@@ -119,8 +129,9 @@ case "$SERVICE_TYPE" in
         if sudo systemctl is-active --quiet "$SERVICE_NAME"; then
             echo -e "${GREEN}Service restarted successfully${NC}"
         else
-            echo -e "${RED}Warning: Service may not be active${NC}"
-            sudo systemctl status "$SERVICE_NAME" --no-pager
+            echo -e "${RED}Error: Service is not active after restart${NC}"
+            sudo systemctl status "$SERVICE_NAME" --no-pager || true
+            exit $EXIT_NOT_ONLINE
         fi
         ;;
 
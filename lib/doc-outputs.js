@@ -0,0 +1,208 @@
+/**
+ * Documentation Outputs
+ *
+ * Where Cartographer writes a project's documents, and the parts of them that
+ * need no LLM. The registry's `documents` list (project, falling back to
+ * `settings`; default ["map"]) picks the set, `docs_path` the directory:
+ *
+ *   map         - top-level codebase map (`codebase_map_file`), linking to the others
+ *   directories - one page per top-level directory: <docs_path>/modules/<dir>.md
+ *   routes      - HTTP route reference built from the source: <docs_path>/API_ROUTES.md
+ *   diagrams    - Mermaid component and data-flow diagrams: <docs_path>/ARCHITECTURE.md
+ *
+ * The incremental state lives next to them in <docs_path>/.codebase-map-state.json.
+ */
+
+const path = require('path');
+
+const DOCUMENT_TYPES = ['map', 'directories', 'routes', 'diagrams'];
+const DEFAULT_DOCUMENTS = ['map'];
+
+function trimSlashes(value) {
+  return value.replace(/^\.\//, '').replace(/^\/+|\/+$/g, '');
+}
+
+function resolveDocLayout({ docsPath, mapFile, documents } = {}) {
+  const dir = trimSlashes(docsPath || 'docs');
+  const wanted = documents && documents.length ? documents : DEFAULT_DOCUMENTS;
+  return {
+    docsPath: dir,
+    mapFile: mapFile ? trimSlashes(mapFile) : `${dir}/CODEBASE_MAP.md`,
+    stateFile: `${dir}/.codebase-map-state.json`,
+    modulesDir: `${dir}/modules`,
+    routesFile: `${dir}/API_ROUTES.md`,
+    diagramsFile: `${dir}/ARCHITECTURE.md`,
+    // The map is always written; it is what links the rest together
+    documents: DOCUMENT_TYPES.filter(type => type === 'map' || wanted.includes(type))
+  };
+}
+
+// Files Cartographer writes are outputs, not sources to analyze
+function isGeneratedPath(layout, filePath) {
+  const has = type => layout.documents.includes(type);
+  return filePath === layout.mapFile ||
+    filePath === layout.stateFile ||
+    (has('routes') && filePath === layout.routesFile) ||
+    (has('diagrams') && filePath === layout.diagramsFile) ||
+    (has('directories') && filePath.startsWith(`${layout.modulesDir}/`));
+}
+
+function moduleFile(layout, dir) {
+  return `${layout.modulesDir}/${dir.replace(/[^A-Za-z0-9._-]/g, '_')}.md`;
+}
+
+// Top-level directory -> its file paths; files in the repository root get no page
+function groupByTopLevelDirectory(filePaths) {
+  const dirs = new Map();
+  for (const filePath of [...filePaths].sort()) {
+    const slash = filePath.indexOf('/');
+    if (slash === -1) continue;
+    const dir = filePath.slice(0, slash);
+    if (!dirs.has(dir)) dirs.set(dir, []);
+    dirs.get(dir).push(filePath);
+  }
+  return dirs;
+}
+
+// Every file the layout produces for these top-level directories
+function expectedOutputs(layout, dirs = []) {
+  const has = type => layout.documents.includes(type);
+  return [
+    layout.mapFile,
+    ...(has('directories') ? dirs.map(dir => moduleFile(layout, dir)) : []),
+    ...(has('routes') ? [layout.routesFile] : []),
+    ...(has('diagrams') ? [layout.diagramsFile] : [])
+  ];
+}
+
+function relativeLink(from, to) {
+  return path.posix.relative(path.posix.dirname(from), to);
+}
+
+// Appended to the map so readers can find the other documents
+function relatedDocumentsSection(layout, dirs = []) {
+  const has = type => layout.documents.includes(type);
+  const links = [];
+  if (has('diagrams')) {
+    links.push(`- [Architecture diagrams](${relativeLink(layout.mapFile, layout.diagramsFile)})`);
+  }
+  if (has('routes')) {
+    links.push(`- [HTTP route reference](${relativeLink(layout.mapFile, layout.routesFile)})`);
+  }
+  if (has('directories') && dirs.length) {
+    links.push('- Module pages:');
+    dirs.forEach(dir => links.push(`  - [${dir}/](${relativeLink(layout.mapFile, moduleFile(layout, dir))})`));
+  }
+  return links.length ? `\n\n## Related Documents\n\n${links.join('\n')}\n` : '';
+}
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+// Route definitions by language; each match yields [method(s), path]
+const ROUTE_PATTERNS = {
+  js: [
+    // Express, Koa router, Fastify, Hono: app.get('/path', ...)
+    {
+      regex: /\b(?:app|router|server|fastify|api|routes?)\.(get|post|put|patch|delete|options|head|all)\(\s*(['"`])([^'"`]+)\2/g,
+      route: m => [m[1].toUpperCase() === 'ALL' ? 'ANY' : m[1].toUpperCase(), m[3]]
+    }
+  ],
+  py: [
+    // Flask: @app.route('/path', methods=['GET', 'POST'])
+    {
+      regex: /@\w+\.route\(\s*(['"])([^'"]+)\1([^)]*)\)/g,
+      route: m => {
+        const methods = (m[3].match(/methods\s*=\s*[[(]([^\])]*)/) || [])[1];
+        return [methods ? methods.replace(/['"\s]/g, '').split(',').filter(Boolean).join(', ').toUpperCase() : 'GET', m[2]];
+      }
+    },
+    // FastAPI, Flask 2: @app.get('/path')
+    {
+      regex: /@\w+\.(get|post|put|patch|delete|options|head)\(\s*(['"])([^'"]+)\2/g,
+      route: m => [m[1].toUpperCase(), m[3]]
+    }
+  ]
+};
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js', '.ts': 'js', '.tsx': 'js',
+  '.py': 'py'
+};
+
+// Next.js file-system routes: pages/api/** and app/**/route.{js,ts}
+function nextRoute(filePath, content) {
+  const pages = filePath.match(/(?:^|\/)pages(\/api\/.+)\.(?:js|jsx|ts|tsx)$/);
+  if (pages) {
+    return [{ method: 'ANY', path: toRoutePath(pages[1].replace(/\/index$/, '')), line: 1 }];
+  }
+
+  const app = filePath.match(/(?:^|\/)app((?:\/.*)?)\/route\.(?:js|ts)$/);
+  if (!app) return [];
+  const routePath = toRoutePath(app[1].replace(/\/\([^)]+\)/g, '')) || '/';
+  return HTTP_METHODS
+    .map(method => ({ method, index: content.search(new RegExp(`export\\s+(?:async\\s+)?(?:function|const)\\s+${method}\\b`)) }))
+    .filter(({ index }) => index !== -1)
+    .map(({ method, index }) => ({ method, path: routePath, line: lineAt(content, index) }));
+}
+
+// [id] and [...slug] segments become :id and *slug
+function toRoutePath(segments) {
+  return segments.replace(/\[\.\.\.([^\]]+)\]/g, '*$1').replace(/\[([^\]]+)\]/g, ':$1');
+}
+
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+// files: [{ path, content }] -> [{ method, path, file, line }], sorted by path
+function findRoutes(files) {
+  const routes = [];
+  for (const file of files) {
+    const language = LANGUAGE_BY_EXTENSION[path.extname(file.path)];
+    if (!language) continue;
+
+    for (const { regex, route } of ROUTE_PATTERNS[language]) {
+      for (const match of file.content.matchAll(regex)) {
+        const [method, routePath] = route(match);
+        routes.push({ method, path: routePath, file: file.path, line: lineAt(file.content, match.index) });
+      }
+    }
+    if (language === 'js') {
+      nextRoute(file.path, file.content).forEach(route => routes.push({ ...route, file: file.path }));
+    }
+  }
+  return routes.sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+}
+
+function renderRouteReference(projectName, layout, routes) {
+  const lines = [
+    `# ${projectName} - HTTP Route Reference`,
+    '',
+    `Generated from the source code. See the [codebase map](${relativeLink(layout.routesFile, layout.mapFile)}) for context.`,
+    ''
+  ];
+  if (routes.length === 0) {
+    lines.push('_No HTTP routes found._');
+  } else {
+    lines.push('| Method | Path | Defined in |', '|--------|------|------------|');
+    for (const route of routes) {
+      const source = relativeLink(layout.routesFile, route.file);
+      lines.push(`| ${route.method} | \`${route.path}\` | [\`${route.file}:${route.line}\`](${source}#L${route.line}) |`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DEFAULT_DOCUMENTS,
+  resolveDocLayout,
+  isGeneratedPath,
+  moduleFile,
+  groupByTopLevelDirectory,
+  expectedOutputs,
+  relativeLink,
+  relatedDocumentsSection,
+  findRoutes,
+  renderRouteReference
+};
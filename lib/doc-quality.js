@@ -0,0 +1,231 @@
+/**
+ * Documentation Quality Gate
+ *
+ * Checks the generated documents before they are committed, so a hallucinated
+ * or truncated map does not reach a PR looking like any other:
+ *
+ *   missing-path     - a file path in inline code that does not exist in the repository
+ *   missing-section  - a section the generation prompt asks for is absent
+ *   shrinkage        - the document lost more than `max_shrink` of its lines
+ *   broken-link      - a relative Markdown link or #anchor that resolves to nothing
+ *   unclosed-fence   - a ``` or ~~~ code block that is never closed
+ *
+ * The gate comes from `settings.quality_gate`, overridden per project by
+ * `quality_gate`. `on_failure` decides what findings do: "draft" opens the PR
+ * as a draft with the findings in its body, "block" fails the run, "off" skips
+ * the checks. Direct commits cannot be drafts, so there findings always block.
+ */
+
+const path = require('path');
+
+const QUALITY_GATE_ACTIONS = ['draft', 'block', 'off'];
+
+const DEFAULT_QUALITY_GATE = {
+  on_failure: 'draft',
+  // Fraction of its lines a document may lose between runs
+  max_shrink: 0.5,
+  // Shorter previous versions are not compared
+  min_previous_lines: 20
+};
+
+// `##` sections of each document type; these must match the prompts in
+// utils/invoke-cartographer-programmatic.mjs. Route references are built from
+// the source and have none
+const REQUIRED_SECTIONS = {
+  map: [
+    'System Overview',
+    'Directory Structure',
+    'Core Components',
+    'Data Flow',
+    'Key Files and Their Purposes',
+    'Dependencies and Integrations',
+    'Development Guide',
+    'Gotchas and Important Notes'
+  ],
+  directories: ['Purpose', 'Key Files', 'Interfaces', 'Notes'],
+  routes: [],
+  diagrams: ['Component Diagram', 'Data Flow']
+};
+
+const FILE_EXTENSION = /\.(js|mjs|cjs|jsx|ts|tsx|json|md|ya?ml|sh|py|go|rs|rb|java|kt|php|cs|c|h|cpp|hpp|swift|sql|html|css|scss|toml|ini|vue|svelte)$/i;
+
+function resolveQualityGate(settings = {}, project = {}) {
+  return {
+    ...DEFAULT_QUALITY_GATE,
+    ...(settings.quality_gate || {}),
+    ...(project.quality_gate || {})
+  };
+}
+
+// Lines outside fenced code blocks (fenced lines become ''), and the line number
+// of a fence left open at the end
+function splitFences(markdown) {
+  const prose = [];
+  let open = null;
+  markdown.split('\n').forEach((line, index) => {
+    const fence = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (open) {
+      if (fence && fence[1][0] === open.char && fence[1].length >= open.length && !fence[2].trim()) open = null;
+      prose.push('');
+    } else if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+      open = { char: fence[1][0], length: fence[1].length, line: index + 1 };
+      prose.push('');
+    } else {
+      prose.push(line);
+    }
+  });
+  return { prose, unclosed: open ? open.line : null };
+}
+
+function headings(prose) {
+  return prose
+    .map(line => line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))
+    .filter(Boolean)
+    .map(match => ({ level: match[1].length, text: match[2] }));
+}
+
+// GitHub's anchor for each heading, numbered when repeated
+function headingAnchors(prose) {
+  const anchors = new Set();
+  const seen = new Map();
+  for (const { text } of headings(prose)) {
+    const slug = text
+      .replace(/`|\*\*|__/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    anchors.add(count ? `${slug}-${count}` : slug);
+  }
+  return anchors;
+}
+
+// Inline code that reads like a file or directory path: `lib/store.js`,
+// `handlers/`, `server.js:42`. Globs, routes and expressions are left out
+function mentionedPaths(prose) {
+  const paths = new Set();
+  for (const line of prose) {
+    for (const [, code] of line.matchAll(/`([^`]+)`/g)) {
+      const candidate = code.trim().replace(/^\.\//, '').replace(/(:\d+(-\d+)?|#L\d+(-L?\d+)?)$/, '');
+      if (!candidate || /[\s*?{}[\]<>()$=,;|'"@!]/.test(candidate) || /^(\/|~|-|\.\.?$|[a-z][a-z0-9+.-]*:)/i.test(candidate)) continue;
+      if (candidate.includes('/') ? FILE_EXTENSION.test(candidate) || candidate.endsWith('/') : FILE_EXTENSION.test(candidate)) {
+        paths.add(candidate);
+      }
+    }
+  }
+  return [...paths];
+}
+
+// [text](target) and ![alt](target), with an optional "title"
+function linkTargets(prose) {
+  const targets = [];
+  for (const line of prose) {
+    for (const [, target] of line.replace(/`[^`]*`/g, '').matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+      targets.push(target);
+    }
+  }
+  return targets;
+}
+
+// Repository paths (files, and the directories that contain them) and file names
+function repositoryIndex(filePaths) {
+  const paths = new Set();
+  const names = new Set();
+  for (const filePath of filePaths) {
+    paths.add(filePath);
+    names.add(path.posix.basename(filePath));
+    for (let dir = path.posix.dirname(filePath); dir !== '.'; dir = path.posix.dirname(dir)) paths.add(dir);
+  }
+  return { paths, names };
+}
+
+// null for a malformed percent-escape such as `#100%`
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+function resolvesTo(index, filePath) {
+  const normalized = path.posix.normalize(filePath).replace(/\/$/, '');
+  return normalized === '.' || (!normalized.startsWith('../') && index.paths.has(normalized));
+}
+
+// doc: { file, type, content, previous } -> [{ file, check, message }]
+function checkDocument(doc, index, gate = DEFAULT_QUALITY_GATE) {
+  const { file, type, content, previous } = doc;
+  const findings = [];
+  const report = (check, message) => findings.push({ file, check, message });
+  const { prose, unclosed } = splitFences(content);
+  const docDir = path.posix.dirname(file);
+
+  if (unclosed !== null) {
+    report('unclosed-fence', `code block opened on line ${unclosed} is never closed`);
+  }
+
+  const present = new Set(headings(prose).filter(heading => heading.level === 2).map(heading => heading.text.toLowerCase()));
+  for (const section of REQUIRED_SECTIONS[type] || []) {
+    if (!present.has(section.toLowerCase())) report('missing-section', `missing section "## ${section}"`);
+  }
+
+  // Paths are usually given from the repository root, sometimes from the document
+  for (const mentioned of mentionedPaths(prose)) {
+    const found = mentioned.includes('/') ?
+      resolvesTo(index, mentioned) || resolvesTo(index, path.posix.join(docDir, mentioned)) :
+      index.names.has(mentioned);
+    if (!found) report('missing-path', `\`${mentioned}\` does not exist in the repository`);
+  }
+
+  const anchors = headingAnchors(prose);
+  for (const target of linkTargets(prose)) {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(target)) continue;
+    const [linkPath, anchor] = target.split('#');
+    if (!linkPath) {
+      const heading = anchor && decode(anchor);
+      if (anchor && !(heading && anchors.has(heading.toLowerCase()))) report('broken-link', `link to #${anchor} matches no heading`);
+      continue;
+    }
+    const linked = decode(linkPath);
+    if (linked === null || !resolvesTo(index, linked.startsWith('/') ? linked.slice(1) : path.posix.join(docDir, linked))) {
+      report('broken-link', `link target ${target} does not exist`);
+    }
+  }
+
+  if (previous) {
+    const before = previous.trimEnd().split('\n').length;
+    const after = content.trimEnd().split('\n').length;
+    if (before >= gate.min_previous_lines && after < before * (1 - gate.max_shrink)) {
+      report('shrinkage', `shrank from ${before} to ${after} lines (-${Math.round((1 - after / before) * 100)}%)`);
+    }
+  }
+
+  return findings;
+}
+
+// docs: [{ file, type, content, previous }], filePaths: every path in the
+// repository, generated documents included
+function checkDocuments(docs, filePaths, gate = DEFAULT_QUALITY_GATE) {
+  const index = repositoryIndex(filePaths);
+  return docs.flatMap(doc => checkDocument(doc, index, gate));
+}
+
+// Markdown list of findings for logs and PR bodies
+function formatFindings(findings, maxListed = 50) {
+  const lines = findings.slice(0, maxListed).map(({ file, check, message }) => `- \`${file}\` (${check}): ${message}`);
+  if (findings.length > maxListed) lines.push(`- …and ${findings.length - maxListed} more`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  QUALITY_GATE_ACTIONS,
+  DEFAULT_QUALITY_GATE,
+  REQUIRED_SECTIONS,
+  resolveQualityGate,
+  checkDocument,
+  checkDocuments,
+  formatFindings
+};
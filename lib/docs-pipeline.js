@@ -0,0 +1,647 @@
+/**
+ * Documentation Pipeline
+ *
+ * Fetch, branch, generate, commit, push and open a PR for one project (the
+ * `pr` delivery mode):
+ *
+ *   1. fetch origin in the shared workspace (its checkout is never touched)
+ *   2. add a temporary worktree pinned to the source commit, on the branch of
+ *      the hub's newest open docs PR or else a new timestamped docs branch
+ *   3. run the generator (Cartographer by default) inside the worktree, then
+ *      the quality gate (lib/doc-quality.js): findings block the run or make
+ *      the PR a draft that lists them
+ *   4. commit docs/ - or throw NoChangesError when nothing changed; the commit
+ *      message, PR title and body are rendered from templates (lib/templates.js)
+ *   5. push the branch (force-push when reusing a PR) and open or update the PR
+ *      through the GitHub REST API; older open docs PRs are closed as superseded
+ *   6. remove the worktree and local branch, whatever happened; ones an
+ *      interrupted run left behind are removed before step 2
+ *
+ * `direct` generates on the tip of the default branch and fast-forwards it with
+ * a [skip ci] commit, refusing if the branch moved meanwhile. `artifact` copies
+ * the generated docs/ to ARTIFACTS_DIR/<project>/ and leaves git alone.
+ *
+ * Resolves to a structured result; every failure is one of the typed errors in
+ * lib/pipeline-errors.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const {
+  WorkspaceNotFoundError,
+  ConfigurationError,
+  GitCommandError,
+  GenerationFailedError,
+  BudgetExceededError,
+  QualityGateFailedError,
+  NoChangesError,
+  PushRejectedError,
+  BranchMovedError,
+  PRCreateFailedError,
+  PipelineAbortedError
+} = require('./pipeline-errors');
+const { DEFAULT_TEMPLATES, renderTemplate, changedSections, buildTemplateVariables } = require('./templates');
+const { resolveDocLayout } = require('./doc-outputs');
+const { checkDocuments, formatFindings } = require('./doc-quality');
+
+const CARTOGRAPHER_SCRIPT = path.join(__dirname, '..', 'utils', 'invoke-cartographer-programmatic.mjs');
+// Cartographer's exit code when a budget with on_exceeded "abort" is hit
+const CARTOGRAPHER_BUDGET_EXIT = 3;
+const MAX_COMMITS = 500;
+const SKIP_CI = '[skip ci]';
+
+// pr: branch + pull request; direct: commit to the default branch; artifact: files only
+const DELIVERY_MODES = ['pr', 'direct', 'artifact'];
+const PR_LABELS = ['documentation', 'automated'];
+// Opens the findings the quality gate puts at the top of a draft PR's body
+const QUALITY_GATE_HEADING = '### ⚠️ Documentation quality gate';
+
+// Run a command to completion; aborting the signal kills it
+function run(command, args, { cwd, env, signal, onOutput } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd, env, signal, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data;
+      if (onOutput) onOutput('stdout', data);
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data;
+      if (onOutput) onOutput('stderr', data);
+    });
+
+    child.on('error', (error) => resolve({ code: null, stdout, stderr: stderr || error.message }));
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+async function git(cwd, args, options) {
+  const result = await run('git', args, { cwd, ...options });
+  if (result.code !== 0) {
+    throw new GitCommandError(args, result.stderr);
+  }
+  return result.stdout.trim();
+}
+
+// owner/repo from an https or ssh GitHub remote URL
+function parseGitHubRemote(url) {
+  const match = (url || '').trim().match(/github\.com[:/]([^/]+)\/(.+?)(?:\.git)?$/);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+function branchTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// A run killed before its cleanup leaves its worktree and local branch behind;
+// reusing the PR's branch name would then fail on every later run
+async function removeStaleBranch(workspacePath, branch) {
+  const worktrees = await git(workspacePath, ['worktree', 'list', '--porcelain']);
+  for (const entry of worktrees.split('\n\n')) {
+    const dir = entry.match(/^worktree (.*)$/m);
+    if (dir && entry.split('\n').includes(`branch refs/heads/${branch}`)) {
+      await run('git', ['worktree', 'remove', '--force', dir[1]], { cwd: workspacePath });
+    }
+  }
+  await run('git', ['worktree', 'prune'], { cwd: workspacePath });
+  await run('git', ['branch', '-D', branch], { cwd: workspacePath });
+}
+
+// Contents of a file at a ref, or null if it does not exist there
+async function showFile(cwd, ref, file) {
+  const result = await run('git', ['show', `${ref}:${file}`], { cwd });
+  return result.code === 0 ? result.stdout : null;
+}
+
+// The docs directory, plus the map when it is configured outside of it
+function docPathspecs(layout) {
+  return layout.mapFile.startsWith(`${layout.docsPath}/`) ? [layout.docsPath] : [layout.docsPath, layout.mapFile];
+}
+
+// Source commits the docs have not covered yet: since the commit recorded by the
+// last Cartographer run on `ref` (its incremental state), else since the last
+// commit touching the map
+async function commitsSinceLastRun(cwd, ref, layout) {
+  let since = null;
+  try {
+    since = JSON.parse(await showFile(cwd, ref, layout.stateFile)).commit || null;
+  } catch {
+    since = (await run('git', ['log', '-1', '--format=%H', ref, '--', layout.mapFile], { cwd })).stdout.trim() || null;
+  }
+
+  const range = since ? `${since}..${ref}` : ref;
+  const log = await run('git', ['log', `--max-count=${MAX_COMMITS}`, '--format=%H%x1f%s%x1f%an', range], { cwd });
+  const commits = log.code === 0 ?
+    log.stdout.split('\n').filter(Boolean).map(line => {
+      const [sha, subject, author] = line.split('\x1f');
+      return { sha, subject, author };
+    }) :
+    [];
+  return { since, commits };
+}
+
+// Lines added and removed in the staged docs
+async function stagedLineCounts(cwd, layout) {
+  const numstat = await git(cwd, ['diff', '--cached', '--numstat', '--', ...docPathspecs(layout)]);
+  let added = 0;
+  let removed = 0;
+  for (const line of numstat.split('\n').filter(Boolean)) {
+    const [plus, minus] = line.split('\t');
+    // Binary files show as "-"
+    added += parseInt(plus, 10) || 0;
+    removed += parseInt(minus, 10) || 0;
+  }
+  return { added, removed };
+}
+
+// Default generator: Cartographer writes the documents of `layout` into the worktree.
+// Resolves to { usage } with the LLM token usage, when it got that far
+async function runCartographer({ worktreeDir, projectName, layout, signal, onOutput, log }) {
+  const logFile = path.join(os.tmpdir(), `cartographer-${projectName}-${branchTimestamp()}.log`);
+  const usageFile = process.env.LLM_USAGE_FILE || path.join(os.tmpdir(), `cartographer-${projectName}-${process.pid}.usage.json`);
+  const result = await run(process.execPath, [CARTOGRAPHER_SCRIPT, worktreeDir, logFile], {
+    cwd: worktreeDir,
+    env: {
+      ...process.env,
+      PROJECT_NAME: projectName,
+      LLM_USAGE_FILE: usageFile,
+      DOCS_PATH: layout.docsPath,
+      CODEBASE_MAP_FILE: layout.mapFile,
+      DOC_OUTPUTS: JSON.stringify(layout.documents)
+    },
+    signal,
+    onOutput
+  });
+
+  let usage = null;
+  try {
+    usage = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+  } catch {
+    // No LLM calls were made
+  }
+  if (!process.env.LLM_USAGE_FILE) {
+    fs.rmSync(usageFile, { force: true });
+  }
+
+  if (fs.existsSync(logFile)) {
+    log('Cartographer log output:');
+    log(fs.readFileSync(logFile, 'utf8'));
+  }
+
+  if (result.code === CARTOGRAPHER_BUDGET_EXIT) {
+    throw new BudgetExceededError('Cartographer stopped: the project budget does not cover this run', { logFile });
+  }
+  if (result.code !== 0) {
+    throw new GenerationFailedError(`Cartographer execution failed (exit code: ${result.code})`, { logFile });
+  }
+  return { usage };
+}
+
+// The documents the generator wrote, with their versions at the source commit
+async function generatedDocuments(ctx, sourceSha) {
+  const { layout, worktreeDir, workspacePath } = ctx;
+  const has = type => layout.documents.includes(type);
+  const files = [{ file: layout.mapFile, type: 'map' }];
+  const modulesPath = path.join(worktreeDir, layout.modulesDir);
+  if (has('directories') && fs.existsSync(modulesPath)) {
+    fs.readdirSync(modulesPath)
+      .filter(entry => entry.endsWith('.md'))
+      .sort()
+      .forEach(entry => files.push({ file: `${layout.modulesDir}/${entry}`, type: 'directories' }));
+  }
+  if (has('routes')) files.push({ file: layout.routesFile, type: 'routes' });
+  if (has('diagrams')) files.push({ file: layout.diagramsFile, type: 'diagrams' });
+
+  const docs = [];
+  for (const { file, type } of files) {
+    // Pages skipped for the budget are simply not there
+    const fullPath = path.join(worktreeDir, file);
+    if (!fs.existsSync(fullPath)) continue;
+    docs.push({ file, type, content: fs.readFileSync(fullPath, 'utf8'), previous: await showFile(workspacePath, sourceSha, file) });
+  }
+  return docs;
+}
+
+// Resolves to the quality gate's findings, or throws when they block delivery
+async function checkQuality(ctx, sourceSha) {
+  const { qualityGate: gate, log } = ctx;
+  if (!gate || gate.on_failure === 'off') return [];
+
+  log('Checking documentation quality...');
+  const repositoryFiles = (await git(ctx.worktreeDir, ['ls-files', '-z', '--cached', '--others', '--exclude-standard']))
+    .split('\0')
+    .filter(Boolean);
+  const findings = checkDocuments(await generatedDocuments(ctx, sourceSha), repositoryFiles, gate);
+  if (findings.length === 0) {
+    log('Quality gate passed');
+    return findings;
+  }
+
+  log(`Quality gate found ${findings.length} problem(s):\n${formatFindings(findings)}`);
+  // A commit on the default branch cannot be a draft
+  if (gate.on_failure === 'block' || ctx.deliveryMode === 'direct') {
+    throw new QualityGateFailedError(findings);
+  }
+  return findings;
+}
+
+function qualityGateNotice(findings) {
+  return `${QUALITY_GATE_HEADING}
+
+The generated documentation failed ${findings.length} check(s), so this PR is a draft. Fix or accept the findings before marking it ready for review.
+
+${formatFindings(findings)}
+
+---
+
+`;
+}
+
+// Open PRs from the hub's own docs branches in this repository, newest first
+async function findDocsPullRequests({ github, owner, repo, branchPrefix, base }) {
+  let pulls;
+  try {
+    pulls = await github.listPullRequests({ owner, repo, base });
+  } catch (error) {
+    throw new PRCreateFailedError(`Failed to list open pull requests: ${error.message}`, {
+      status: error.status ?? null
+    });
+  }
+  return pulls
+    .filter(pr => pr.head.ref.startsWith(branchPrefix) && pr.head.repo?.full_name === `${owner}/${repo}`)
+    .sort((a, b) => b.number - a.number);
+}
+
+async function updatePullRequest({ github, owner, repo, number, title, body, branch }) {
+  try {
+    const pullRequest = await github.updatePullRequest({ owner, repo, number, title, body });
+    return { number: pullRequest.number, url: pullRequest.html_url };
+  } catch (error) {
+    throw new PRCreateFailedError(`Failed to update pull request #${number}: ${error.message}`, {
+      status: error.status ?? null,
+      branch
+    });
+  }
+}
+
+// Close older docs PRs in favour of the current one; best effort like labels
+async function closeSupersededPullRequests({ github, owner, repo, pulls, current, log }) {
+  const closed = [];
+  for (const pr of pulls) {
+    try {
+      await github.addComment({ owner, repo, issueNumber: pr.number, body: `Superseded by #${current.number}.` });
+      await github.updatePullRequest({ owner, repo, number: pr.number, state: 'closed' });
+      closed.push(pr.number);
+      log(`Closed superseded PR #${pr.number}`);
+    } catch (error) {
+      log(`Warning: could not close superseded PR #${pr.number}: ${error.message}`);
+      continue;
+    }
+
+    try {
+      await github.deleteBranch({ owner, repo, branch: pr.head.ref });
+    } catch (error) {
+      log(`Warning: could not delete branch ${pr.head.ref}: ${error.message}`);
+    }
+  }
+  return closed;
+}
+
+async function openPullRequest({ github, owner, repo, title, body, branch, base, draft, log }) {
+  let pullRequest;
+  try {
+    pullRequest = await github.createPullRequest({ owner, repo, title, body, head: branch, base, draft });
+  } catch (error) {
+    throw new PRCreateFailedError(`Failed to create pull request: ${error.message}`, {
+      status: error.status ?? null,
+      branch
+    });
+  }
+
+  // Labels are a nicety; a failure here must not fail a PR that already exists
+  try {
+    await github.addLabels({ owner, repo, issueNumber: pullRequest.number, labels: PR_LABELS });
+  } catch (error) {
+    log(`Warning: could not label PR #${pullRequest.number}: ${error.message}`);
+  }
+
+  return { number: pullRequest.number, url: pullRequest.html_url };
+}
+
+// Stage the docs and commit them with the rendered commit message
+async function commitDocs(ctx, { branch, previousMap, history, usage }) {
+  const { worktreeDir, templates, layout } = ctx;
+  ctx.log('Committing documentation changes...');
+  await git(worktreeDir, ['add', '--all', '--', ...docPathspecs(layout)]);
+  const lines = await stagedLineCounts(worktreeDir, layout);
+  const variables = buildTemplateVariables({
+    projectName: ctx.projectName,
+    owner: ctx.owner,
+    repo: ctx.repo,
+    branch,
+    triggerEvent: ctx.triggerEvent,
+    commitSha: ctx.commitSha,
+    sinceCommit: history.since,
+    commits: history.commits,
+    sections: changedSections(previousMap, fs.readFileSync(path.join(worktreeDir, layout.mapFile), 'utf8')),
+    linesAdded: lines.added,
+    linesRemoved: lines.removed,
+    usage
+  });
+
+  let message = renderTemplate(templates.commit_message, variables);
+  // Commits straight to the default branch must not trigger CI
+  if (ctx.deliveryMode === 'direct' && !message.includes(SKIP_CI)) {
+    message = message.replace(/^[^\n]*/, subject => `${subject} ${SKIP_CI}`);
+  }
+  await git(worktreeDir, ['commit', '-q', '-m', message]);
+  return { commit: await git(worktreeDir, ['rev-parse', 'HEAD']), variables };
+}
+
+// A reused PR follows the gate: drafted with findings, ready again once a run
+// passes, unless it was a draft for reasons of its own
+async function syncDraftState({ github, existing, draft, branch, log }) {
+  if (draft && !existing.draft) {
+    log(`Marking pull request #${existing.number} as draft...`);
+    try {
+      await github.convertPullRequestToDraft({ nodeId: existing.node_id });
+    } catch (error) {
+      throw new PRCreateFailedError(`Failed to mark pull request #${existing.number} as draft: ${error.message}`, {
+        status: error.status ?? null,
+        branch
+      });
+    }
+  } else if (!draft && existing.draft && (existing.body || '').startsWith(QUALITY_GATE_HEADING)) {
+    try {
+      await github.markPullRequestReadyForReview({ nodeId: existing.node_id });
+      log(`Pull request #${existing.number} is ready for review again`);
+    } catch (error) {
+      log(`Warning: could not mark PR #${existing.number} ready for review: ${error.message}`);
+    }
+  }
+}
+
+// pr mode: push the docs branch, then open or refresh the PR and close superseded ones
+async function deliverPullRequest(ctx, { branch, existing, stale, commit, variables, findings }) {
+  const { github, owner, repo, worktreeDir, templates, signal } = ctx;
+
+  // The docs branch is rebuilt from the source commit each run; the lease
+  // refuses the force-push if someone else moved the branch since we listed it
+  ctx.log('Pushing branch to remote...');
+  const pushArgs = existing ?
+    ['push', `--force-with-lease=refs/heads/${branch}:${existing.head.sha}`, 'origin', `HEAD:refs/heads/${branch}`] :
+    ['push', '-u', 'origin', branch];
+  const push = await run('git', pushArgs, { cwd: worktreeDir, signal });
+  if (push.code !== 0) {
+    throw new PushRejectedError(branch, push.stderr);
+  }
+  ctx.checkAborted();
+
+  const draft = findings.length > 0;
+  const body = renderTemplate(templates.pr_body, variables);
+  const prFields = {
+    github,
+    owner,
+    repo,
+    title: renderTemplate(templates.pr_title, variables),
+    body: draft ? qualityGateNotice(findings) + body : body,
+    branch
+  };
+  let pullRequest;
+  if (existing) {
+    ctx.log(`Updating pull request #${existing.number}...`);
+    pullRequest = await updatePullRequest({ ...prFields, number: existing.number });
+    await syncDraftState({ github, existing, draft, branch, log: ctx.log });
+    ctx.log(`Pull request updated: ${pullRequest.url}`);
+  } else {
+    ctx.log(draft ? 'Creating draft pull request...' : 'Creating pull request...');
+    pullRequest = await openPullRequest({ ...prFields, base: ctx.defaultBranch, draft, log: ctx.log });
+    ctx.log(`Pull request created: ${pullRequest.url}`);
+  }
+
+  const superseded = await closeSupersededPullRequests({ github, owner, repo, pulls: stale, current: pullRequest, log: ctx.log });
+  return {
+    outcome: existing ? 'pr_updated' : 'pr_created',
+    branch,
+    commit,
+    pullRequest,
+    supersededPullRequests: superseded
+  };
+}
+
+// direct mode: fast-forward the default branch, but only from the commit we generated on
+async function deliverDirect(ctx, { baseSha, commit }) {
+  const { worktreeDir, defaultBranch, signal } = ctx;
+
+  const remote = await git(worktreeDir, ['ls-remote', 'origin', `refs/heads/${defaultBranch}`], { signal });
+  const remoteSha = remote.split(/\s/)[0] || null;
+  if (remoteSha !== baseSha) {
+    throw new BranchMovedError(defaultBranch, baseSha, remoteSha);
+  }
+  ctx.checkAborted();
+
+  // Never forced: a push that lands in between is still rejected as non-fast-forward
+  ctx.log(`Pushing documentation commit to ${defaultBranch}...`);
+  const push = await run('git', ['push', 'origin', `HEAD:refs/heads/${defaultBranch}`], { cwd: worktreeDir, signal });
+  if (push.code !== 0) {
+    throw new PushRejectedError(defaultBranch, push.stderr);
+  }
+  ctx.log(`Committed ${commit.substring(0, 7)} to ${defaultBranch}`);
+
+  return { outcome: 'committed', branch: defaultBranch, commit };
+}
+
+// artifact mode: copy the generated docs out of the worktree; git is left alone
+function writeArtifact(ctx, { sourceSha }) {
+  const artifactPath = path.join(ctx.artifactsDir, ctx.projectName, `${branchTimestamp()}-${sourceSha.substring(0, 7)}`);
+  fs.mkdirSync(path.dirname(artifactPath), { recursive: true });
+  for (const pathspec of docPathspecs(ctx.layout)) {
+    // The docs directory becomes the artifact root; a map outside it keeps its repository path
+    const destination = path.join(artifactPath, pathspec === ctx.layout.docsPath ? '' : pathspec);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.cpSync(path.join(ctx.worktreeDir, pathspec), destination, { recursive: true });
+  }
+  ctx.log(`Documentation written to ${artifactPath}`);
+  return { outcome: 'artifact_written', artifactPath };
+}
+
+// owner/repo from the options or, for manual runs, the origin remote.
+// Only pr mode needs it; the others fall back to the project name
+async function resolveRepository({ workspacePath, repoOwner, repoName, projectName, deliveryMode }) {
+  if (repoOwner && repoName) return { owner: repoOwner, repo: repoName };
+
+  const remote = parseGitHubRemote(await git(workspacePath, ['remote', 'get-url', 'origin']).catch(() => ''));
+  if (remote) return { owner: repoOwner || remote.owner, repo: repoName || remote.repo };
+  if (deliveryMode !== 'pr') return { owner: repoOwner || 'local', repo: repoName || projectName };
+
+  throw new ConfigurationError('Cannot determine the GitHub repository: set REPO_OWNER/REPO_NAME or use a github.com origin');
+}
+
+async function runDocsPipeline({
+  projectName,
+  workspacePath,
+  github,
+  repoOwner = null,
+  repoName = null,
+  defaultBranch = 'main',
+  commitSha = null,
+  triggerEvent = 'manual',
+  deliveryMode = 'pr',
+  branchPrefix = 'docs/auto-update-',
+  worktreeRoot = os.tmpdir(),
+  artifactsDir = null,
+  docsPath = 'docs',
+  mapFile = null,
+  documents = null,
+  qualityGate = null,
+  templates = DEFAULT_TEMPLATES,
+  generate = runCartographer,
+  signal,
+  onOutput,
+  log = console.log
+}) {
+  const ctx = {
+    projectName,
+    workspacePath,
+    github,
+    defaultBranch,
+    commitSha,
+    triggerEvent,
+    deliveryMode,
+    artifactsDir,
+    layout: resolveDocLayout({ docsPath, mapFile, documents }),
+    qualityGate,
+    templates,
+    signal,
+    log,
+    checkAborted: () => {
+      if (signal?.aborted) throw new PipelineAbortedError();
+    }
+  };
+
+  log('=== Starting Documentation Generation ===');
+  log(`Project: ${projectName}`);
+  log(`Workspace: ${workspacePath}`);
+  log(`Commit: ${commitSha || 'unknown'}`);
+  log(`Delivery: ${deliveryMode}`);
+
+  if (!DELIVERY_MODES.includes(deliveryMode)) {
+    throw new ConfigurationError(`Unknown delivery mode: ${deliveryMode}`);
+  }
+  if (deliveryMode === 'artifact' && !artifactsDir) {
+    throw new ConfigurationError('artifact delivery needs an artifacts directory (ARTIFACTS_DIR)');
+  }
+  if (!fs.existsSync(workspacePath) || !fs.statSync(workspacePath).isDirectory()) {
+    throw new WorkspaceNotFoundError(workspacePath);
+  }
+
+  Object.assign(ctx, await resolveRepository({ workspacePath, repoOwner, repoName, projectName, deliveryMode }));
+
+  // Fetch without touching the workspace's checked-out branch or working tree
+  log('Fetching latest changes...');
+  await git(workspacePath, ['fetch', 'origin'], { signal });
+  ctx.checkAborted();
+
+  // Pin to the webhook commit; fall back to the remote default branch if it is unknown.
+  // Direct commits always build on the current tip, so they can fast-forward it
+  let target = `origin/${defaultBranch}`;
+  if (deliveryMode === 'direct') {
+    log(`Generating on the tip of origin/${defaultBranch}`);
+  } else if (commitSha && (await run('git', ['cat-file', '-e', `${commitSha}^{commit}`], { cwd: workspacePath })).code === 0) {
+    target = commitSha;
+  } else {
+    log(`Commit ${commitSha || 'unknown'} not found, using origin/${defaultBranch}`);
+  }
+  const targetSha = await git(workspacePath, ['rev-parse', `${target}^{commit}`]);
+
+  // pr mode regenerates onto the newest open docs PR; the rest are superseded by it
+  let existing = null;
+  let stale = [];
+  let branch = null;
+  if (deliveryMode === 'pr') {
+    [existing = null, ...stale] = await findDocsPullRequests({ github, owner: ctx.owner, repo: ctx.repo, branchPrefix, base: defaultBranch });
+    branch = existing ? existing.head.ref : `${branchPrefix}${branchTimestamp()}`;
+    log(existing ? `Updating open PR #${existing.number} on branch ${branch}` : `Branch: ${branch}`);
+    ctx.checkAborted();
+  }
+
+  fs.mkdirSync(worktreeRoot, { recursive: true });
+  ctx.worktreeDir = fs.mkdtempSync(path.join(worktreeRoot, `docs-${projectName}-`));
+  let branchCreated = false;
+
+  try {
+    // Only pr mode needs a local branch; the others work on a detached HEAD
+    if (branch) {
+      await removeStaleBranch(workspacePath, branch);
+      log(`Creating worktree at ${ctx.worktreeDir} on branch ${branch} (${target})`);
+      await git(workspacePath, ['worktree', 'add', '-b', branch, ctx.worktreeDir, targetSha], { signal });
+      branchCreated = true;
+    } else {
+      log(`Creating worktree at ${ctx.worktreeDir} (${target})`);
+      await git(workspacePath, ['worktree', 'add', '--detach', ctx.worktreeDir, targetSha], { signal });
+    }
+    ctx.checkAborted();
+
+    const { layout } = ctx;
+    const previousMap = await showFile(workspacePath, targetSha, layout.mapFile);
+    const history = await commitsSinceLastRun(workspacePath, targetSha, layout);
+
+    log(`Running Cartographer to generate documentation (${layout.documents.join(', ')}) in ${layout.docsPath}/...`);
+    const generated = await generate({ worktreeDir: ctx.worktreeDir, projectName, layout, signal, onOutput, log });
+    ctx.checkAborted();
+
+    if (!fs.existsSync(path.join(ctx.worktreeDir, layout.mapFile))) {
+      throw new GenerationFailedError(`Documentation generation failed - ${layout.mapFile} not found`);
+    }
+
+    let result;
+    let findings;
+    if (deliveryMode === 'artifact') {
+      findings = await checkQuality(ctx, targetSha);
+      result = writeArtifact(ctx, { sourceSha: targetSha });
+    } else {
+      // Untracked files count as changes too
+      if (!(await git(ctx.worktreeDir, ['status', '--porcelain', '--', ...docPathspecs(layout)]))) {
+        throw new NoChangesError(layout.docsPath);
+      }
+      findings = await checkQuality(ctx, targetSha);
+      ctx.checkAborted();
+
+      const { commit, variables } = await commitDocs(ctx, {
+        branch: branch || defaultBranch,
+        previousMap,
+        history,
+        usage: generated?.usage
+      });
+      ctx.checkAborted();
+
+      result = deliveryMode === 'direct' ?
+        await deliverDirect(ctx, { baseSha: targetSha, commit }) :
+        await deliverPullRequest(ctx, { branch, existing, stale, commit, variables, findings });
+    }
+
+    log('=== Documentation Generation Complete ===');
+    return { ...result, deliveryMode, sourceRef: target, qualityFindings: findings };
+  } finally {
+    // Remove the job worktree and its local branch however the run ended
+    const removed = await run('git', ['worktree', 'remove', '--force', ctx.worktreeDir], { cwd: workspacePath });
+    if (removed.code !== 0) {
+      fs.rmSync(ctx.worktreeDir, { recursive: true, force: true });
+    }
+    await run('git', ['worktree', 'prune'], { cwd: workspacePath });
+    if (branchCreated) {
+      await run('git', ['branch', '-D', branch], { cwd: workspacePath });
+    }
+  }
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  parseGitHubRemote,
+  runCartographer,
+  runDocsPipeline
+};
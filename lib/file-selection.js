@@ -0,0 +1,256 @@
+/**
+ * File Selection and Budgets
+ *
+ * Decides which scanned files Cartographer analyzes and how they are packed
+ * into LLM calls. Lockfiles, generated code, binaries and large data files are
+ * skipped with a reason, oversized sources are cut at a line boundary with an
+ * explicit marker, and files are grouped by directory so related code is
+ * analyzed together.
+ *
+ * The budget comes from `settings.budget`, overridden per project by `budget`:
+ *
+ *   max_files           - files analyzed per run (code first, then data and docs)
+ *   max_tokens_per_run  - input + output tokens across every LLM call
+ *   max_cost_usd        - estimated cost across every LLM call
+ *   max_group_tokens    - file tokens packed into one analysis call
+ *   max_file_tokens     - tokens of one file before it is truncated
+ *   max_data_file_bytes - size above which JSON/YAML/Markdown files are skipped
+ *   on_exceeded         - "degrade" (skip what does not fit) or "abort"
+ */
+
+const path = require('path');
+
+const DEFAULT_BUDGET = {
+  max_files: null,
+  max_tokens_per_run: null,
+  max_cost_usd: null,
+  max_group_tokens: 100000,
+  max_file_tokens: 20000,
+  max_data_file_bytes: 32768,
+  on_exceeded: 'degrade'
+};
+
+const BUDGET_ACTIONS = ['degrade', 'abort'];
+
+const LOCKFILES = new Set([
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+  'Cargo.lock', 'Gemfile.lock', 'poetry.lock', 'Pipfile.lock', 'composer.lock', 'uv.lock', 'go.sum'
+]);
+
+const GENERATED_PATTERNS = [
+  /\.min\.(js|css)$/,
+  /\.(js|css)\.map$/,
+  /\.bundle\.js$/,
+  /\.generated\.[^/]+$/,
+  /(^|\/)(__generated__|generated)\//,
+  /_pb2(_grpc)?\.py$/,
+  /\.pb\.go$/
+];
+
+// Header comments of generated files, looked for in the first lines only
+const GENERATED_MARKER = /@generated|DO NOT EDIT|auto-?generated (file|code|by)/i;
+
+const DATA_EXTENSIONS = new Set(['.json', '.yaml', '.yml', '.md']);
+const FIXTURE_DIR = /(^|\/)(__fixtures__|fixtures?|testdata|__snapshots__)\//;
+
+function resolveBudget(settings = {}, project = {}) {
+  return {
+    ...DEFAULT_BUDGET,
+    ...(settings.budget || {}),
+    ...(project.budget || {})
+  };
+}
+
+// Local token count shaped like Claude's tokenizer: a word (with its leading
+// space) per camelCase part, longer parts in ~7-letter pieces, digits in threes,
+// each symbol and non-ASCII character one token, other whitespace runs one token.
+// Used to pack groups; the provider's exact count is used for the prompts sent.
+function countTokens(text) {
+  let tokens = 0;
+  for (const [piece] of (text || '').matchAll(/ ?[A-Za-z]+| ?\d{1,3}|\s+|[\x21-\x7e]|[^\x00-\x7f]/g)) {
+    const word = piece.trim();
+    if (/^[A-Za-z]/.test(word)) {
+      for (const [part] of word.matchAll(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g)) tokens += Math.ceil(part.length / 7);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+// Why a file is not worth analyzing, or null to keep it
+function skipReason(filePath, content, budget = DEFAULT_BUDGET) {
+  const name = path.posix.basename(filePath);
+  const ext = path.posix.extname(filePath).toLowerCase();
+
+  if (LOCKFILES.has(name)) return 'lockfile';
+  if (GENERATED_PATTERNS.some(pattern => pattern.test(filePath))) return 'generated';
+  if (content.includes('\u0000')) return 'binary';
+  if (GENERATED_MARKER.test(content.split('\n', 5).join('\n'))) return 'generated';
+  if (DATA_EXTENSIONS.has(ext)) {
+    if (ext !== '.md' && FIXTURE_DIR.test(filePath)) return 'test fixture';
+    if (Buffer.byteLength(content) > budget.max_data_file_bytes) {
+      return ext === '.md' ? 'large document' : 'large data file';
+    }
+  }
+  return null;
+}
+
+function isCode(filePath) {
+  return !DATA_EXTENSIONS.has(path.posix.extname(filePath).toLowerCase());
+}
+
+// files: [{ path, content }] -> { selected: [{ path, tokens, truncated }], skipped: [{ path, reason }] }
+function selectFiles(files, budget = DEFAULT_BUDGET) {
+  const candidates = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const reason = skipReason(file.path, file.content, budget);
+    if (reason) {
+      skipped.push({ path: file.path, reason });
+      continue;
+    }
+    const tokens = countTokens(file.content);
+    candidates.push({
+      path: file.path,
+      tokens: Math.min(tokens, budget.max_file_tokens),
+      truncated: tokens > budget.max_file_tokens
+    });
+  }
+
+  // Over max_files, code wins over data and docs, then shallower paths
+  let selected = candidates;
+  if (budget.max_files && candidates.length > budget.max_files) {
+    const depth = file => file.path.split('/').length;
+    const ranked = [...candidates].sort((a, b) =>
+      Number(isCode(b.path)) - Number(isCode(a.path)) || depth(a) - depth(b) || a.path.localeCompare(b.path)
+    );
+    const kept = new Set(ranked.slice(0, budget.max_files).map(file => file.path));
+    selected = candidates.filter(file => kept.has(file.path));
+    ranked.slice(budget.max_files).forEach(file => skipped.push({ path: file.path, reason: `over max_files (${budget.max_files})` }));
+  }
+
+  return { selected, skipped };
+}
+
+// The leading whole lines of `content` that fit in `maxTokens`, with a marker when cut
+function truncateToTokens(content, maxTokens) {
+  const lines = content.split('\n');
+  let tokens = 0;
+  let shown = 0;
+  while (shown < lines.length && tokens + countTokens(lines[shown]) + 1 <= maxTokens) {
+    tokens += countTokens(lines[shown]) + 1;
+    shown++;
+  }
+  if (shown === lines.length) return { content, truncated: false };
+  return {
+    content: `${lines.slice(0, shown).join('\n')}\n… [truncated: showing lines 1-${shown} of ${lines.length}]`,
+    truncated: true
+  };
+}
+
+// Directory tree with token totals per subtree
+function directoryTree(files) {
+  const root = { files: [], dirs: new Map(), tokens: 0 };
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    let node = root;
+    node.tokens += file.tokens;
+    for (const segment of file.path.split('/').slice(0, -1)) {
+      if (!node.dirs.has(segment)) node.dirs.set(segment, { files: [], dirs: new Map(), tokens: 0 });
+      node = node.dirs.get(segment);
+      node.tokens += file.tokens;
+    }
+    node.files.push(file);
+  }
+  return root;
+}
+
+function subtreeFiles(node) {
+  return [...node.files, ...[...node.dirs.values()].flatMap(subtreeFiles)];
+}
+
+// Units that belong together: a whole directory when it fits in one group,
+// otherwise its own files and each subdirectory on their own
+function affinityUnits(node, maxTokens, units = []) {
+  if (node.tokens <= maxTokens) {
+    const files = subtreeFiles(node);
+    if (files.length) units.push(files);
+    return units;
+  }
+  if (node.files.length) units.push(node.files);
+  for (const child of node.dirs.values()) affinityUnits(child, maxTokens, units);
+  return units;
+}
+
+// Pack files into analysis groups of at most `maxTokens`, keeping directories
+// together and neighbouring directories in the same group when they fit
+function groupFiles(files, maxTokens = DEFAULT_BUDGET.max_group_tokens) {
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+  const flush = () => {
+    if (current.length) groups.push(current);
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const unit of affinityUnits(directoryTree(files), maxTokens)) {
+    const unitTokens = unit.reduce((sum, file) => sum + file.tokens, 0);
+    if (currentTokens + unitTokens > maxTokens) flush();
+    for (const file of unit) {
+      // Only a directory too big for one group is split across groups
+      if (currentTokens + file.tokens > maxTokens) flush();
+      current.push(file);
+      currentTokens += file.tokens;
+    }
+  }
+  flush();
+  return groups;
+}
+
+// Which limit spending `input`/`output` more tokens on top of `usage` would break,
+// or null. `estimateCost(usage)` returns USD, or null when pricing is unknown.
+function budgetExceeded(budget, usage, { input, output }, estimateCost) {
+  const inputTokens = usage.input_tokens + input;
+  const outputTokens = usage.output_tokens + output;
+  if (budget.max_tokens_per_run && inputTokens + outputTokens > budget.max_tokens_per_run) {
+    return `token budget (${budget.max_tokens_per_run} tokens per run)`;
+  }
+  if (typeof budget.max_cost_usd === 'number') {
+    const cost = estimateCost({ input_tokens: inputTokens, output_tokens: outputTokens });
+    if (cost !== null && cost > budget.max_cost_usd) {
+      return `cost budget ($${budget.max_cost_usd} per run)`;
+    }
+  }
+  return null;
+}
+
+// Summary lines for skipped files, grouped by reason
+function formatSkipped(skipped, maxListed = 10) {
+  const byReason = new Map();
+  for (const { path: filePath, reason } of skipped) {
+    if (!byReason.has(reason)) byReason.set(reason, []);
+    byReason.get(reason).push(filePath);
+  }
+  const lines = [];
+  for (const [reason, paths] of byReason) {
+    lines.push(`  ${reason}: ${paths.length}`);
+    paths.slice(0, maxListed).forEach(filePath => lines.push(`    - ${filePath}`));
+    if (paths.length > maxListed) lines.push(`    - …and ${paths.length - maxListed} more`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  BUDGET_ACTIONS,
+  resolveBudget,
+  countTokens,
+  skipReason,
+  selectFiles,
+  truncateToTokens,
+  groupFiles,
+  budgetExceeded,
+  formatSkipped
+};
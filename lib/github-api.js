@@ -0,0 +1,113 @@
+/**
+ * GitHub API
+ *
+ * Small GitHub REST client for the documentation pipeline: pull requests,
+ * labels, comments and branch deletion. The base URL comes from
+ * GITHUB_API_URL (default https://api.github.com), so tests and GitHub
+ * Enterprise installs can point it elsewhere. Switching a PR between draft and
+ * ready for review only exists in GraphQL, served next to it (/graphql, or
+ * /api/graphql for an Enterprise /api/v3 URL).
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const REQUEST_TIMEOUT_MS = 30000;
+
+class GitHubApiError extends Error {
+  constructor(method, route, status, body) {
+    const detail = body?.errors?.map(error => error.message || error.code).filter(Boolean).join('; ');
+    super(`GitHub ${method} ${route} failed with ${status}: ${body?.message || 'no message'}${detail ? ` (${detail})` : ''}`);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function graphqlEndpoint(baseUrl) {
+  return /\/api\/v3$/.test(baseUrl) ? baseUrl.replace(/\/v3$/, '/graphql') : `${baseUrl}/graphql`;
+}
+
+function createGitHubClient({ token, apiUrl = DEFAULT_API_URL } = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  async function send(method, url, route, body) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        'User-Agent': 'doc-automation-hub',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+      throw new GitHubApiError(method, route, response.status, data);
+    }
+    return data;
+  }
+
+  const request = (method, route, body) => send(method, `${baseUrl}${route}`, route, body);
+
+  // GraphQL answers 200 with an `errors` list when the operation itself fails
+  async function graphql(query, variables) {
+    const data = await send('POST', graphqlEndpoint(baseUrl), '/graphql', { query, variables });
+    if (data?.errors?.length) {
+      throw new GitHubApiError('POST', '/graphql', 200, { message: data.errors.map(error => error.message).join('; ') });
+    }
+    return data.data;
+  }
+
+  const repoRoute = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  return {
+    request,
+    graphql,
+
+    // Open PRs against `base` (first 100, which is plenty for the hub's own branches)
+    listPullRequests({ owner, repo, base }) {
+      const query = new URLSearchParams({ state: 'open', base, per_page: '100' });
+      return request('GET', `${repoRoute(owner, repo)}/pulls?${query}`);
+    },
+
+    createPullRequest({ owner, repo, title, body, head, base, draft = false }) {
+      return request('POST', `${repoRoute(owner, repo)}/pulls`, { title, body, head, base, draft });
+    },
+
+    // fields: any of title, body, state
+    updatePullRequest({ owner, repo, number, ...fields }) {
+      return request('PATCH', `${repoRoute(owner, repo)}/pulls/${number}`, fields);
+    },
+
+    // nodeId: the PR's `node_id`
+    convertPullRequestToDraft({ nodeId }) {
+      return graphql('mutation($id: ID!) { convertPullRequestToDraft(input: { pullRequestId: $id }) { pullRequest { isDraft } } }', { id: nodeId });
+    },
+
+    markPullRequestReadyForReview({ nodeId }) {
+      return graphql('mutation($id: ID!) { markPullRequestReadyForReview(input: { pullRequestId: $id }) { pullRequest { isDraft } } }', { id: nodeId });
+    },
+
+    addComment({ owner, repo, issueNumber, body }) {
+      return request('POST', `${repoRoute(owner, repo)}/issues/${issueNumber}/comments`, { body });
+    },
+
+    deleteBranch({ owner, repo, branch }) {
+      return request('DELETE', `${repoRoute(owner, repo)}/git/refs/heads/${branch.split('/').map(encodeURIComponent).join('/')}`);
+    },
+
+    addLabels({ owner, repo, issueNumber, labels }) {
+      return request('POST', `${repoRoute(owner, repo)}/issues/${issueNumber}/labels`, { labels });
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  GitHubApiError,
+  createGitHubClient
+};
@@ -0,0 +1,66 @@
+/**
+ * GitHub Event Dispatch
+ *
+ * Maps an `X-GitHub-Event` type and payload to what the hub should do for a
+ * project: generate docs, restart the service, or skip with a reason.
+ *
+ *   push                                  -> generate (default branch only)
+ *   pull_request closed + merged          -> restart (into default branch only)
+ *   workflow_dispatch, repository_dispatch -> generate (manual runs)
+ *
+ * `ping` is acknowledged by the route before a project is resolved.
+ */
+
+function skip(message) {
+  return { action: 'skip', message };
+}
+
+function classifyEvent(event, payload, project) {
+  const defaultRef = `refs/heads/${project.default_branch}`;
+
+  switch (event) {
+    case 'push':
+      if (payload.deleted) {
+        return skip('Branch deletion, skipping');
+      }
+      // Payloads from GitHub Actions callers may omit the ref; treat them as default-branch pushes
+      if (payload.ref && payload.ref !== defaultRef) {
+        return skip(`Push to ${payload.ref}, not ${defaultRef}, skipping`);
+      }
+      return { action: 'generate', ref: payload.ref || defaultRef, commit: payload.after };
+
+    case 'pull_request': {
+      const pr = payload.pull_request || {};
+      if (payload.action !== 'closed' || !pr.merged) {
+        return skip('Pull request not merged, skipping');
+      }
+      if (pr.base?.ref !== project.default_branch) {
+        return skip(`Pull request merged into ${pr.base?.ref}, not ${project.default_branch}, skipping`);
+      }
+      return { action: 'restart', commit: pr.merge_commit_sha, pullRequest: pr.number };
+    }
+
+    case 'workflow_dispatch':
+      return {
+        action: 'generate',
+        ref: payload.ref || defaultRef,
+        commit: payload.inputs?.sha || null
+      };
+
+    case 'repository_dispatch': {
+      const clientPayload = payload.client_payload || {};
+      return {
+        action: 'generate',
+        ref: clientPayload.ref || (payload.branch ? `refs/heads/${payload.branch}` : defaultRef),
+        commit: clientPayload.sha || null
+      };
+    }
+
+    default:
+      return skip(`Event ${event} is not handled, ignoring`);
+  }
+}
+
+module.exports = {
+  classifyEvent
+};
@@ -0,0 +1,105 @@
+/**
+ * Handler Runner
+ *
+ * Runs a bash handler with spawn so output can be streamed while the job is
+ * still running. The handler gets its own process group, so a timeout kills
+ * the whole tree (bash, node, git, gh) rather than just the top-level shell.
+ */
+
+const { spawn } = require('child_process');
+
+// Keep only the tail of each stream in memory; the full output is in the job log
+const OUTPUT_TAIL_CHARS = 64 * 1024;
+
+function appendTail(buffer, chunk) {
+  const next = buffer + chunk;
+  return next.length > OUTPUT_TAIL_CHARS ? next.slice(-OUTPUT_TAIL_CHARS) : next;
+}
+
+function killTree(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (e) {
+    // Process group already gone
+  }
+}
+
+function treeAlive(child) {
+  try {
+    process.kill(-child.pid, 0);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// SIGTERM the handler's process group, SIGKILL it if it is still there after
+// `graceMs`; resolves once every process in the group has exited
+function stopTree(child, { graceMs = 10000, pollMs = 100 } = {}) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + graceMs;
+    let killed = false;
+    killTree(child, 'SIGTERM');
+    const check = () => {
+      if (!treeAlive(child)) return resolve();
+      if (!killed && Date.now() >= deadline) {
+        killTree(child, 'SIGKILL');
+        killed = true;
+      }
+      setTimeout(check, pollMs);
+    };
+    check();
+  });
+}
+
+// onSpawn receives the child so callers can cancel it with killTree
+function runHandler(scriptPath, args, { env, timeout, onOutput, onSpawn } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn('bash', [scriptPath, ...args], {
+      env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    if (onSpawn) onSpawn(child);
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let timer = null;
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killTree(child, 'SIGTERM');
+        // Escalate if the tree ignores SIGTERM
+        setTimeout(() => killTree(child, 'SIGKILL'), 10000).unref();
+      }, timeout);
+    }
+
+    child.stdout.on('data', (data) => {
+      stdout = appendTail(stdout, data.toString());
+      if (onOutput) onOutput('stdout', data);
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr = appendTail(stderr, data.toString());
+      if (onOutput) onOutput('stderr', data);
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, signal: null, timedOut, stdout, stderr, error });
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({ exitCode, signal, timedOut, stdout, stderr, error: null });
+    });
+  });
+}
+
+module.exports = {
+  runHandler,
+  killTree,
+  stopTree
+};
@@ -0,0 +1,147 @@
+/**
+ * Per-Job Log Files
+ *
+ * Splits handler output into lines, appends them to logs/jobs/<id>.log as
+ * JSONL entries ({ seq, timestamp, stream, line }) and fans them out to live
+ * subscribers (the SSE endpoint). Entries carry a sequence number so a reader
+ * that replays the file while subscribed can drop duplicates.
+ *
+ * Closing a writer only ends one attempt. The hub ends the stream with `end`
+ * once the job reaches its final status, or announces `retrying` when the
+ * attempt failed and the job went back to the queue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+function createJobLogs(logDir) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const live = new Set();
+
+  function logPath(jobId) {
+    return path.join(logDir, `${jobId}.log`);
+  }
+
+  async function read(jobId) {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(logPath(jobId), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // Ignore a partially written trailing line
+      }
+    }
+    return entries;
+  }
+
+  // Open a writer for a (re)run of a job; reruns append to the same file
+  async function open(jobId) {
+    await fs.promises.mkdir(logDir, { recursive: true });
+    const previous = await read(jobId);
+    let seq = previous.length ? previous[previous.length - 1].seq : 0;
+
+    const file = fs.createWriteStream(logPath(jobId), { flags: 'a' });
+    const partial = { stdout: '', stderr: '' };
+    live.add(jobId);
+
+    function emitLine(stream, line) {
+      const entry = {
+        seq: ++seq,
+        timestamp: new Date().toISOString(),
+        stream,
+        line
+      };
+      file.write(JSON.stringify(entry) + '\n');
+      emitter.emit(`line:${jobId}`, entry);
+    }
+
+    return {
+      write(stream, chunk) {
+        const lines = (partial[stream] + chunk.toString()).split('\n');
+        partial[stream] = lines.pop();
+        for (const line of lines) {
+          emitLine(stream, line);
+        }
+      },
+
+      close() {
+        for (const stream of Object.keys(partial)) {
+          if (partial[stream]) emitLine(stream, partial[stream]);
+          partial[stream] = '';
+        }
+        live.delete(jobId);
+        return new Promise(resolve => file.end(resolve));
+      }
+    };
+  }
+
+  // The job reached its final status, whether or not it ever ran
+  function end(jobId, status) {
+    emitter.emit(`end:${jobId}`, { status });
+  }
+
+  // The attempt failed and the job is queued again: { attempt, nextAttemptAt }
+  function retrying(jobId, details) {
+    emitter.emit(`retrying:${jobId}`, details);
+  }
+
+  function isLive(jobId) {
+    return live.has(jobId);
+  }
+
+  function subscribe(jobId, onLine, onEnd, onRetrying = () => {}) {
+    emitter.on(`line:${jobId}`, onLine);
+    emitter.on(`end:${jobId}`, onEnd);
+    emitter.on(`retrying:${jobId}`, onRetrying);
+    return () => {
+      emitter.off(`line:${jobId}`, onLine);
+      emitter.off(`end:${jobId}`, onEnd);
+      emitter.off(`retrying:${jobId}`, onRetrying);
+    };
+  }
+
+  // Remove log files for jobs no longer in the store
+  async function prune(keepIds) {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(logDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const keep = new Set(keepIds);
+    let removed = 0;
+    for (const file of files) {
+      if (file.endsWith('.log') && !keep.has(path.basename(file, '.log'))) {
+        await fs.promises.unlink(path.join(logDir, file));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    logPath,
+    read,
+    open,
+    end,
+    retrying,
+    isLive,
+    subscribe,
+    prune
+  };
+}
+
+module.exports = {
+  createJobLogs
+};
@@ -0,0 +1,188 @@
+/**
+ * Durable Job Store
+ *
+ * Keeps documentation jobs in an append-only JSONL journal so queued and
+ * running work survives a PM2 restart or crash. Every state change appends
+ * the full job record; on load the journal is replayed (last record per id
+ * wins) and compacted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'superseded'];
+
+function createJobStore(journalPath) {
+  const jobs = new Map();
+  let writeChain = Promise.resolve();
+
+  // Serialize appends so journal lines never interleave
+  function persist(job) {
+    const line = JSON.stringify(job) + '\n';
+    writeChain = writeChain
+      .then(() => fs.appendFile(journalPath, line))
+      .catch(err => {
+        console.error('Failed to write job journal:', err);
+      });
+    return writeChain;
+  }
+
+  // Replay the journal, re-queue interrupted jobs and compact the file
+  async function load({ retentionDays } = {}) {
+    let content = '';
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    jobs.clear();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const job = JSON.parse(line);
+        jobs.set(job.id, job); // first write fixes queue order
+      } catch (e) {
+        // A crash mid-append can leave a truncated last line
+      }
+    }
+
+    // Drop finished jobs past the retention window
+    const cutoff = retentionDays ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : null;
+    for (const [id, job] of jobs) {
+      if (cutoff && job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+
+    // Jobs that were running when the process died go back on the queue,
+    // unless they were being cancelled
+    const interrupted = [];
+    for (const job of jobs.values()) {
+      if (job.status === 'running' && job.cancelRequested) {
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+      } else if (job.status === 'running') {
+        job.status = 'queued';
+        job.startedAt = null;
+        job.interruptions = (job.interruptions || 0) + 1;
+        interrupted.push(job.id);
+      }
+    }
+
+    await compact();
+
+    return {
+      total: jobs.size,
+      queued: count('queued'),
+      interrupted
+    };
+  }
+
+  // Rewrite the journal with one line per job (atomic via rename)
+  async function compact() {
+    await writeChain;
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    const tmpPath = `${journalPath}.tmp`;
+    const lines = [...jobs.values()].map(job => JSON.stringify(job) + '\n').join('');
+    await fs.writeFile(tmpPath, lines);
+    await fs.rename(tmpPath, journalPath);
+  }
+
+  function create(fields) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      ...fields
+    };
+    jobs.set(job.id, job);
+    persist(job);
+    return job;
+  }
+
+  function update(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (changes.status && !JOB_STATES.includes(changes.status)) {
+      throw new Error(`Invalid job status: ${changes.status}`);
+    }
+    Object.assign(job, changes);
+    persist(job);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function list(filter = {}) {
+    return [...jobs.values()].filter(job =>
+      Object.entries(filter).every(([key, value]) => job[key] === value)
+    );
+  }
+
+  // Oldest queued job first, skipping retries still in their backoff window
+  // and projects that already have a job running
+  function nextQueued({ busyProjects = new Set(), now = Date.now() } = {}) {
+    for (const job of jobs.values()) {
+      if (job.status !== 'queued' || busyProjects.has(job.project)) continue;
+      if (job.nextAttemptAt && Date.parse(job.nextAttemptAt) > now) continue;
+      return job;
+    }
+    return null;
+  }
+
+  // Jobs written before job types existed are documentation runs
+  function findQueued(project, type = 'generate') {
+    for (const job of jobs.values()) {
+      if (job.status === 'queued' && job.project === project && (job.type || 'generate') === type) return job;
+    }
+    return null;
+  }
+
+  // Earliest time a backed-off retry becomes runnable, or null
+  function nextRetryAt() {
+    let earliest = null;
+    for (const job of jobs.values()) {
+      if (job.status !== 'queued' || !job.nextAttemptAt) continue;
+      const at = Date.parse(job.nextAttemptAt);
+      if (earliest === null || at < earliest) earliest = at;
+    }
+    return earliest;
+  }
+
+  function count(status) {
+    let n = 0;
+    for (const job of jobs.values()) {
+      if (job.status === status) n++;
+    }
+    return n;
+  }
+
+  function flush() {
+    return writeChain;
+  }
+
+  return {
+    load,
+    compact,
+    create,
+    update,
+    get,
+    list,
+    nextQueued,
+    findQueued,
+    nextRetryAt,
+    count,
+    flush
+  };
+}
+
+module.exports = {
+  JOB_STATES,
+  createJobStore
+};
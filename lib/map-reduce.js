@@ -0,0 +1,166 @@
+/**
+ * Hierarchical Synthesis
+ *
+ * Keeps the final codebase-map prompt within `synthesis_input_tokens` however
+ * many groups a repository has. Group analyses carry a scope (the directory
+ * their files share). When they do not fit into one prompt they are reduced
+ * level by level, stopping as soon as they fit:
+ *
+ *   directory - analyses of the same directory are merged into one summary
+ *   subsystem - directory summaries under the same top-level directory are merged
+ *   overview  - subsystem summaries are merged in batches until they fit
+ *
+ * Each level packs its inputs into batches that fit one prompt, so a merge
+ * never overflows either. The merge itself (an LLM call) is supplied by the
+ * caller: `merge(items, { level, scope })` resolves to the summary text.
+ * `estimateReduction` runs the same steps on token counts alone, so the run
+ * budget can be kept for the merges before the analyses are made.
+ */
+
+const path = require('path');
+
+// Longest directory shared by all paths; '' when they only share the root
+function analysisScope(filePaths) {
+  const dirs = filePaths.map(filePath => path.posix.dirname(filePath).split('/').filter(part => part !== '.'));
+  if (dirs.length === 0) return '';
+  const common = [];
+  for (let i = 0; i < dirs[0].length; i++) {
+    if (!dirs.every(parts => parts[i] === dirs[0][i])) break;
+    common.push(dirs[0][i]);
+  }
+  return common.join('/');
+}
+
+function topLevel(scope) {
+  return scope.split('/')[0];
+}
+
+// Consecutive batches of at most `maxTokens`; a batch always takes at least two
+// items so every merge makes progress
+function packBatches(items, maxTokens, tokensOf) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const item of items) {
+    const itemTokens = tokensOf(item);
+    if (current.length >= 2 && tokens + itemTokens > maxTokens) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += itemTokens;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Promise.all over `items` with at most `limit` calls of `fn` in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+function groupByKey(items, keyOf) {
+  const buckets = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(item);
+  }
+  return buckets;
+}
+
+// items: [{ scope, text }] -> { items, levels: [{ level, merges }] }, where the
+// returned items fit in `maxTokens` (unless a single item is larger on its own)
+async function reduceAnalyses(items, { maxTokens, tokensOf, merge, concurrency = 1 }) {
+  const total = list => list.reduce((sum, item) => sum + tokensOf(item), 0);
+  const levels = [];
+
+  // Merge a list of items into one, batch by batch
+  async function mergeAll(list, level, scope, limit) {
+    let merges = 0;
+    while (list.length > 1) {
+      const batches = packBatches(list, maxTokens, tokensOf);
+      list = await mapLimit(batches, limit, async batch => {
+        if (batch.length === 1) return batch[0];
+        merges++;
+        return { scope, text: await merge(batch, { level, scope }) };
+      });
+    }
+    return { item: list[0], merges };
+  }
+
+  // Buckets are merged in parallel, the batches within one bucket in turn
+  async function runLevel(level, keyOf) {
+    const results = await mapLimit([...groupByKey(items, keyOf)], concurrency, ([scope, bucket]) =>
+      mergeAll(bucket, level, scope, 1)
+    );
+    items = results.map(result => result.item);
+    const merges = results.reduce((sum, result) => sum + result.merges, 0);
+    if (merges) levels.push({ level, merges });
+  }
+
+  if (total(items) <= maxTokens) return { items, levels };
+
+  await runLevel('directory', item => item.scope);
+  if (total(items) <= maxTokens) return { items, levels };
+
+  await runLevel('subsystem', item => topLevel(item.scope));
+  if (total(items) <= maxTokens) return { items, levels };
+
+  // Still too big: merge subsystems in batches until the overview fits
+  let merges = 0;
+  while (items.length > 1 && total(items) > maxTokens) {
+    const batches = packBatches(items, maxTokens, tokensOf);
+    items = await mapLimit(batches, concurrency, async batch => {
+      if (batch.length === 1) return batch[0];
+      merges++;
+      const scope = batch.map(item => item.scope || '(root)').join(', ');
+      return { scope, text: await merge(batch, { level: 'overview', scope }) };
+    });
+  }
+  if (merges) levels.push({ level: 'overview', merges });
+  return { items, levels };
+}
+
+// Tokens the reduction and the final prompt will take for analyses of known
+// size. items: [{ scope, tokens }]; every merge is assumed to answer with
+// `outputTokens` and to add `promptTokens` of instructions to its inputs.
+// Resolves to { merges, input, output, finalTokens }
+async function estimateReduction(items, { maxTokens, outputTokens, promptTokens = 0 }) {
+  const tokensOf = item => item.tokens ?? outputTokens;
+  let merges = 0;
+  let input = 0;
+  const reduced = await reduceAnalyses(items, {
+    maxTokens,
+    tokensOf,
+    merge: async (batch) => {
+      merges++;
+      input += promptTokens + batch.reduce((sum, item) => sum + tokensOf(item), 0);
+      return '';
+    }
+  });
+  return {
+    merges,
+    input,
+    output: merges * outputTokens,
+    finalTokens: reduced.items.reduce((sum, item) => sum + tokensOf(item), 0)
+  };
+}
+
+module.exports = {
+  analysisScope,
+  packBatches,
+  mapLimit,
+  reduceAnalyses,
+  estimateReduction
+};
@@ -0,0 +1,131 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus instrumentation: labelled counters and histograms kept in
+ * memory, gauges computed at scrape time, rendered in the text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * Counters and histograms reset when the hub restarts; Prometheus handles that
+ * through rate()/increase().
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+// Only the declared label names are kept, in declaration order
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] ?? '';
+  }
+  return picked;
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: prefix + metric.name });
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'counter',
+      samples: () => [...series.values()].map(({ labels, value }) => ({ labels, value }))
+    });
+
+    return {
+      inc(labels, value = 1) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || { labels: picked, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // `collect` returns [{ labels, value }] and runs on every scrape
+  function gauge(name, help, collect) {
+    register({ name, help, type: 'gauge', samples: collect });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = []) {
+    const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'histogram',
+      samples: () => {
+        const samples = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          bounds.forEach((le, i) => {
+            samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(le) }, value: counts[i] });
+          });
+          samples.push({ suffix: '_sum', labels, value: sum });
+          samples.push({ suffix: '_count', labels, value: count });
+        }
+        return samples;
+      }
+    });
+
+    return {
+      observe(labels, value) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        // Buckets are cumulative: every bound at or above the value counts it
+        bounds.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${metric.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetrics
+};
@@ -0,0 +1,138 @@
+/**
+ * Notifications
+ *
+ * Sends job events to Slack, Discord or any HTTP endpoint. Channels come from
+ * the project's `notifications` list in the registry, falling back to
+ * `settings.notifications`:
+ *
+ *   { "type": "slack", "url": "env:SLACK_DOCS_WEBHOOK_URL", "events": ["job_failed"] }
+ *
+ * Events:
+ *   job_failed     - a documentation job failed after its last retry
+ *   pr_created     - a documentation PR was opened (message carries the PR URL)
+ *   restart_failed - a service restart failed, including the "online" check
+ *
+ * Delivery is best effort: failures are logged and never affect the job.
+ */
+
+const NOTIFICATION_EVENTS = ['job_failed', 'pr_created', 'restart_failed'];
+const CHANNEL_TYPES = ['slack', 'discord', 'webhook'];
+
+const SEND_TIMEOUT_MS = 10000;
+
+const EVENT_STYLE = {
+  job_failed: { emoji: '❌', color: '#d73a49' },
+  pr_created: { emoji: '📚', color: '#2ea44f' },
+  restart_failed: { emoji: '⚠️', color: '#e36209' }
+};
+
+// Channels without `events` receive every event
+function resolveChannels(settings = {}, project = {}, event, env = process.env) {
+  const channels = project.notifications || settings.notifications || [];
+  return channels
+    .filter(channel => !channel.events || channel.events.includes(event))
+    .map(channel => ({
+      ...channel,
+      url: channel.url.startsWith('env:') ? env[channel.url.slice(4)] : channel.url
+    }))
+    .filter(channel => channel.url);
+}
+
+// Last lines of handler output, short enough for a chat message
+function outputTail(text, lines = 10, maxChars = 1000) {
+  if (!text) return '';
+  const tail = text.trimEnd().split('\n').slice(-lines).join('\n');
+  return tail.length > maxChars ? '…' + tail.slice(-maxChars) : tail;
+}
+
+// message: { event, project, title, text, url, fields: { Name: value } }
+function slackPayload(message) {
+  const { color } = EVENT_STYLE[message.event];
+  return {
+    text: message.title,
+    attachments: [{
+      color,
+      title: message.title,
+      ...(message.url ? { title_link: message.url } : {}),
+      text: message.text ? '```' + message.text + '```' : undefined,
+      fields: Object.entries(message.fields).map(([title, value]) => ({ title, value: String(value), short: true }))
+    }]
+  };
+}
+
+function discordPayload(message) {
+  const { color } = EVENT_STYLE[message.event];
+  return {
+    content: message.title,
+    embeds: [{
+      title: message.title,
+      ...(message.url ? { url: message.url } : {}),
+      description: message.text ? '```\n' + message.text + '\n```' : undefined,
+      color: parseInt(color.slice(1), 16),
+      fields: Object.entries(message.fields).map(([name, value]) => ({ name, value: String(value), inline: true }))
+    }]
+  };
+}
+
+function webhookPayload(message) {
+  return {
+    event: message.event,
+    project: message.project,
+    title: message.title,
+    text: message.text || null,
+    url: message.url || null,
+    fields: message.fields,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const PAYLOAD_BUILDERS = {
+  slack: slackPayload,
+  discord: discordPayload,
+  webhook: webhookPayload
+};
+
+function buildPayload(type, message) {
+  return PAYLOAD_BUILDERS[type]({
+    ...message,
+    title: `${EVENT_STYLE[message.event].emoji} ${message.title}`,
+    fields: Object.fromEntries(Object.entries(message.fields || {}).filter(([, value]) => value !== null && value !== undefined))
+  });
+}
+
+// Send one event to every matching channel; resolves once all deliveries settle
+async function notify({ settings, project, message, log = () => {} }) {
+  const channels = resolveChannels(settings, project, message.event);
+
+  await Promise.all(channels.map(async (channel) => {
+    try {
+      const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(channel.type, message)),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      log('warn', 'Notification delivery failed', {
+        project: message.project,
+        event: message.event,
+        channel: channel.type,
+        error: error.message
+      });
+    }
+  }));
+
+  return channels.length;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNEL_TYPES,
+  resolveChannels,
+  outputTail,
+  buildPayload,
+  notify
+};
@@ -0,0 +1,57 @@
+/**
+ * Path Filters
+ *
+ * Applies a project's `watch_paths` (include) and `ignore_paths` (exclude)
+ * globs from project-registry.json. Used by the webhook handler to skip pushes
+ * that touch nothing watched, and by the Cartographer scanner to pick files.
+ *
+ * Patterns without a slash (e.g. `*.log`) match at any depth, like .gitignore.
+ */
+
+const { minimatch } = require('minimatch');
+
+const GLOB_OPTIONS = { dot: true, matchBase: true };
+
+function matchesAny(filePath, patterns) {
+  return patterns.some(pattern => minimatch(filePath, pattern, GLOB_OPTIONS));
+}
+
+// Returns a predicate; an empty include list means "everything not excluded"
+function createPathFilter({ include = [], exclude = [] } = {}) {
+  return (filePath) => {
+    if (matchesAny(filePath, exclude)) return false;
+    return include.length === 0 || matchesAny(filePath, include);
+  };
+}
+
+// True when a directory (relative path) is fully excluded and need not be walked
+function isExcludedDir(dirPath, exclude = []) {
+  return matchesAny(`${dirPath}/`, exclude);
+}
+
+// GitHub lists at most this many commits in a push payload; a push that reaches
+// it may have touched files the payload does not mention
+const MAX_PUSH_COMMITS = 20;
+
+// Files touched by a GitHub push payload, or null when they are unknown: no
+// commit details, or a push too large for the payload to list every commit
+function changedFilesFromPush(payload) {
+  if (!Array.isArray(payload.commits) || payload.commits.length === 0 || payload.commits.length >= MAX_PUSH_COMMITS) {
+    return null;
+  }
+
+  const files = new Set();
+  for (const commit of payload.commits) {
+    for (const key of ['added', 'modified', 'removed']) {
+      (commit[key] || []).forEach(file => files.add(file));
+    }
+  }
+  return [...files];
+}
+
+module.exports = {
+  MAX_PUSH_COMMITS,
+  createPathFilter,
+  isExcludedDir,
+  changedFilesFromPush
+};
@@ -0,0 +1,154 @@
+/**
+ * Pipeline Errors
+ *
+ * Typed failures of the documentation pipeline (lib/docs-pipeline.js). Each
+ * carries a stable `code` for job records and notifications, whether a retry
+ * can help, and the handler exit code the retry policy keys on:
+ *
+ *   0   - NoChanges (not a failure: the docs are already up to date)
+ *   1   - step failed, retryable (generation, push, GitHub 5xx)
+ *   2   - configuration or request error, a budget limit or a failed quality
+ *         gate, not retried
+ *   128 - git command failed (fetch, worktree), retryable
+ */
+
+class PipelineError extends Error {
+  constructor(message, { code, exitCode = 1, retryable = true, details = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = exitCode;
+    this.retryable = retryable;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      details: this.details
+    };
+  }
+}
+
+class ConfigurationError extends PipelineError {
+  constructor(message, details) {
+    super(message, { code: 'CONFIGURATION', exitCode: 2, retryable: false, details });
+  }
+}
+
+class WorkspaceNotFoundError extends PipelineError {
+  constructor(workspacePath) {
+    super(`Workspace path not found: ${workspacePath}`, {
+      code: 'WORKSPACE_NOT_FOUND',
+      exitCode: 2,
+      retryable: false,
+      details: { workspacePath }
+    });
+  }
+}
+
+class GitCommandError extends PipelineError {
+  constructor(args, stderr) {
+    super(`git ${args.join(' ')} failed: ${stderr.trim() || 'no output'}`, {
+      code: 'GIT_FAILED',
+      exitCode: 128,
+      details: { args }
+    });
+  }
+}
+
+class GenerationFailedError extends PipelineError {
+  constructor(message, details) {
+    super(message, { code: 'GENERATION_FAILED', details });
+  }
+}
+
+// Cartographer stopped at a project budget (budget.on_exceeded "abort"); a retry
+// would hit the same limit
+class BudgetExceededError extends PipelineError {
+  constructor(message, details) {
+    super(message, { code: 'BUDGET_EXCEEDED', exitCode: 2, retryable: false, details });
+  }
+}
+
+// The generated docs failed the checks of lib/doc-quality.js and the gate
+// blocks; someone should look at the findings before paying for another run
+class QualityGateFailedError extends PipelineError {
+  constructor(findings) {
+    super(`Documentation quality gate failed with ${findings.length} finding(s)`, {
+      code: 'QUALITY_GATE_FAILED',
+      exitCode: 2,
+      retryable: false,
+      details: { findings }
+    });
+  }
+}
+
+class NoChangesError extends PipelineError {
+  constructor(docsPath) {
+    super(`No changes detected in ${docsPath}`, {
+      code: 'NO_CHANGES',
+      exitCode: 0,
+      retryable: false,
+      details: { docsPath }
+    });
+  }
+}
+
+class PushRejectedError extends PipelineError {
+  constructor(branch, stderr) {
+    super(`Push of ${branch} was rejected: ${stderr.trim() || 'no output'}`, {
+      code: 'PUSH_REJECTED',
+      details: { branch }
+    });
+  }
+}
+
+// Direct delivery: the default branch moved while the docs were generated.
+// A retry regenerates on the new tip
+class BranchMovedError extends PipelineError {
+  constructor(branch, expected, actual) {
+    super(`${branch} moved during generation (expected ${expected.substring(0, 7)}, found ${actual ? actual.substring(0, 7) : 'nothing'}), refusing to commit`, {
+      code: 'BRANCH_MOVED',
+      details: { branch, expected, actual }
+    });
+  }
+}
+
+// GitHub 5xx and network errors may go away on retry; 4xx (auth, validation) will not
+class PRCreateFailedError extends PipelineError {
+  constructor(message, { status = null, branch } = {}) {
+    const retryable = status === null || status >= 500;
+    super(message, {
+      code: 'PR_CREATE_FAILED',
+      exitCode: retryable ? 1 : 2,
+      retryable,
+      details: { status, branch }
+    });
+  }
+}
+
+// Stopped between steps because the job was cancelled or timed out
+class PipelineAbortedError extends PipelineError {
+  constructor() {
+    super('Pipeline aborted', { code: 'ABORTED', retryable: false });
+  }
+}
+
+module.exports = {
+  PipelineError,
+  ConfigurationError,
+  WorkspaceNotFoundError,
+  GitCommandError,
+  GenerationFailedError,
+  BudgetExceededError,
+  QualityGateFailedError,
+  NoChangesError,
+  PushRejectedError,
+  BranchMovedError,
+  PRCreateFailedError,
+  PipelineAbortedError
+};
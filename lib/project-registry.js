@@ -0,0 +1,311 @@
+/**
+ * Project Registry
+ *
+ * Loads `project-registry.json`, validates it against a JSON schema, and keeps
+ * the last good copy in memory. The file is watched: edits are picked up without
+ * a restart, and an edit that fails to parse or validate is logged and ignored.
+ * Changes made through the admin API are validated the same way and written
+ * atomically (temp file + rename).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { NOTIFICATION_EVENTS, CHANNEL_TYPES } = require('./notifications');
+const { DELIVERY_MODES } = require('./docs-pipeline');
+const { DOCUMENT_TYPES } = require('./doc-outputs');
+const { BUDGET_ACTIONS } = require('./file-selection');
+const { QUALITY_GATE_ACTIONS } = require('./doc-quality');
+
+const stringList = { type: 'array', items: { type: 'string' } };
+// Paths inside the project repository
+const repoPath = { type: 'string', minLength: 1, pattern: '^(?!/)(?!.*(^|/)\\.\\.(/|$))' };
+const documentList = { type: 'array', uniqueItems: true, items: { enum: DOCUMENT_TYPES } };
+
+const llmSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    provider: { enum: ['anthropic', 'mock'] },
+    model: { type: 'string', minLength: 1 },
+    max_tokens: { type: 'integer', minimum: 1 },
+    synthesis_max_tokens: { type: 'integer', minimum: 1 },
+    synthesis_input_tokens: { type: 'integer', minimum: 1000 },
+    temperature: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+    fixtures_dir: { type: ['string', 'null'] },
+    pricing: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      required: ['input_per_mtok', 'output_per_mtok'],
+      properties: {
+        input_per_mtok: { type: 'number', minimum: 0 },
+        output_per_mtok: { type: 'number', minimum: 0 }
+      }
+    },
+    concurrency: { type: 'integer', minimum: 1, maximum: 32 },
+    max_retries: { type: 'integer', minimum: 0 },
+    retry_initial_delay_ms: { type: 'integer', minimum: 0 },
+    max_failed_group_fraction: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const notificationsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['type', 'url'],
+    properties: {
+      type: { enum: CHANNEL_TYPES },
+      url: { type: 'string', minLength: 1 },
+      events: { type: 'array', items: { enum: NOTIFICATION_EVENTS } }
+    }
+  }
+};
+
+const retryPolicySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    max_attempts: { type: 'integer', minimum: 1 },
+    initial_backoff_seconds: { type: 'number', minimum: 0 },
+    backoff_multiplier: { type: 'number', minimum: 1 },
+    max_backoff_seconds: { type: 'number', minimum: 0 },
+    retryable_exit_codes: {
+      type: 'array',
+      items: { anyOf: [{ type: 'integer' }, { const: 'TIMEOUT' }] }
+    }
+  }
+};
+
+const budgetSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    max_files: { type: ['integer', 'null'], minimum: 1 },
+    max_tokens_per_run: { type: ['integer', 'null'], minimum: 1 },
+    max_cost_usd: { type: ['number', 'null'], minimum: 0 },
+    max_group_tokens: { type: 'integer', minimum: 1000 },
+    max_file_tokens: { type: 'integer', minimum: 100 },
+    max_data_file_bytes: { type: 'integer', minimum: 0 },
+    on_exceeded: { enum: BUDGET_ACTIONS }
+  }
+};
+
+const qualityGateSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    on_failure: { enum: QUALITY_GATE_ACTIONS },
+    max_shrink: { type: 'number', minimum: 0, maximum: 1 },
+    min_previous_lines: { type: 'integer', minimum: 0 }
+  }
+};
+
+const projectSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['enabled', 'repo_owner', 'repo_name', 'default_branch', 'workspace_path', 'service_type'],
+  properties: {
+    enabled: { type: 'boolean' },
+    repo_owner: { type: 'string', minLength: 1 },
+    repo_name: { type: 'string', minLength: 1 },
+    default_branch: { type: 'string', minLength: 1 },
+    workspace_path: { type: 'string', pattern: '^/' },
+    service_type: { enum: ['pm2', 'docker', 'systemd', 'custom'] },
+    service_name: { type: 'string' },
+    restart_command: { type: 'string' },
+    docs_path: repoPath,
+    codebase_map_file: repoPath,
+    documents: documentList,
+    watch_paths: stringList,
+    ignore_paths: stringList,
+    webhook_secrets: stringList,
+    delivery_mode: { enum: DELIVERY_MODES },
+    pr_title_template: { type: 'string', minLength: 1 },
+    pr_body_template: { type: 'string', minLength: 1 },
+    commit_message_template: { type: 'string', minLength: 1 },
+    notifications: notificationsSchema,
+    llm: llmSchema,
+    budget: budgetSchema,
+    quality_gate: qualityGateSchema,
+    retry_policy: retryPolicySchema
+  }
+};
+
+const settingsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    webhook_port: { type: 'integer', minimum: 0 },
+    max_concurrent_jobs: { type: 'integer', minimum: 1 },
+    job_timeout_minutes: { type: 'number', minimum: 1 },
+    pr_branch_prefix: { type: 'string', minLength: 1 },
+    documents: documentList,
+    pr_title_template: { type: 'string', minLength: 1 },
+    pr_body_template: { type: 'string', minLength: 1 },
+    commit_message_template: { type: 'string', minLength: 1 },
+    claude_code_path: { type: 'string' },
+    log_retention_days: { type: 'number', minimum: 0 },
+    webhook_security: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        delivery_ttl_hours: { type: 'number', minimum: 0 },
+        require_timestamp: { type: 'boolean' },
+        timestamp_tolerance_seconds: { type: 'number', minimum: 0 }
+      }
+    },
+    notifications: notificationsSchema,
+    llm: llmSchema,
+    budget: budgetSchema,
+    quality_gate: qualityGateSchema,
+    retry_policy: retryPolicySchema
+  }
+};
+
+// Project names are used as URL segments and log file names
+const PROJECT_NAME_PATTERN = '^[A-Za-z0-9._-]+$';
+
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['projects', 'settings'],
+  properties: {
+    projects: {
+      type: 'object',
+      propertyNames: { pattern: PROJECT_NAME_PATTERN },
+      additionalProperties: projectSchema
+    },
+    settings: settingsSchema
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateRegistrySchema = ajv.compile(REGISTRY_SCHEMA);
+
+// Returns a list of human-readable problems; empty when the registry is valid
+function validateRegistry(registry) {
+  if (validateRegistrySchema(registry)) return [];
+  return validateRegistrySchema.errors.map(error => {
+    const detail = error.params?.additionalProperty ? ` '${error.params.additionalProperty}'` : '';
+    return `${error.instancePath || '/'} ${error.message}${detail}`;
+  });
+}
+
+function invalidRegistryError(problems) {
+  const error = new Error(`Invalid project registry: ${problems.join('; ')}`);
+  error.problems = problems;
+  return error;
+}
+
+function createProjectRegistry(registryPath, { log = () => {}, onReload = () => {} } = {}) {
+  let registry = null;
+  let watcher = null;
+  let reloadTimer = null;
+  let writeChain = Promise.resolve();
+
+  async function read() {
+    const content = await fs.promises.readFile(registryPath, 'utf8');
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${registryPath}: ${error.message}`);
+    }
+
+    const problems = validateRegistry(parsed);
+    if (problems.length > 0) throw invalidRegistryError(problems);
+    return parsed;
+  }
+
+  async function load() {
+    registry = await read();
+    return registry;
+  }
+
+  // Re-read after a file change; a broken edit leaves the last good config in place
+  async function reload() {
+    try {
+      const next = await read();
+      const changed = JSON.stringify(next) !== JSON.stringify(registry);
+      registry = next;
+      if (changed) {
+        log('info', 'Project registry reloaded', { projects: Object.keys(next.projects).length });
+        onReload(registry);
+      }
+    } catch (error) {
+      log('error', 'Project registry reload failed, keeping last good config', {
+        error: error.message
+      });
+    }
+  }
+
+  // Watch the directory rather than the file: editors and our own writes replace it via rename
+  function watch() {
+    if (watcher) return;
+    const fileName = path.basename(registryPath);
+    watcher = fs.watch(path.dirname(registryPath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, 200);
+    });
+    watcher.unref();
+  }
+
+  function unwatch() {
+    clearTimeout(reloadTimer);
+    if (watcher) watcher.close();
+    watcher = null;
+  }
+
+  // Validate, write atomically, then swap in the new registry; nothing changes if
+  // any step fails. Updates are serialized so concurrent edits do not drop each other.
+  function update(mutate) {
+    const run = writeChain.then(async () => {
+      const next = JSON.parse(JSON.stringify(registry));
+      mutate(next);
+
+      const problems = validateRegistry(next);
+      if (problems.length > 0) throw invalidRegistryError(problems);
+
+      const tmpPath = `${registryPath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(next, null, 2) + '\n');
+      await fs.promises.rename(tmpPath, registryPath);
+
+      registry = next;
+      onReload(registry);
+      return registry;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function saveProject(name, project) {
+    return update(next => {
+      next.projects[name] = project;
+    });
+  }
+
+  function deleteProject(name) {
+    return update(next => {
+      delete next.projects[name];
+    });
+  }
+
+  return {
+    load,
+    reload,
+    watch,
+    unwatch,
+    saveProject,
+    deleteProject,
+    current: () => registry
+  };
+}
+
+module.exports = {
+  REGISTRY_SCHEMA,
+  validateRegistry,
+  createProjectRegistry
+};
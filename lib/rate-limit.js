@@ -0,0 +1,104 @@
+/**
+ * LLM Rate Limits and Retries
+ *
+ * Keeps Cartographer's parallel LLM calls within the provider's rate limits.
+ * Every response (and error) reports the `anthropic-ratelimit-*` and
+ * `retry-after` headers to a shared gate; once requests or tokens run out,
+ * new calls wait until the reset time the API announced. Failed calls are
+ * retried with exponential backoff when the error is transient (429, 408,
+ * 409, 5xx/529, network errors), honoring `retry-after` when it is given.
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+function headerGetter(headers) {
+  if (!headers) return () => null;
+  if (typeof headers.get === 'function') return name => headers.get(name);
+  return name => headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseReset(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// The parts of a response's headers the gate acts on; missing headers are null
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  const get = headerGetter(headers);
+  const retryAfter = parseNumber(get('retry-after'));
+  return {
+    requestsRemaining: parseNumber(get('anthropic-ratelimit-requests-remaining')),
+    requestsReset: parseReset(get('anthropic-ratelimit-requests-reset')),
+    inputTokensRemaining: parseNumber(get('anthropic-ratelimit-input-tokens-remaining') ?? get('anthropic-ratelimit-tokens-remaining')),
+    inputTokensReset: parseReset(get('anthropic-ratelimit-input-tokens-reset') ?? get('anthropic-ratelimit-tokens-reset')),
+    retryAfterMs: retryAfter === null ? null : Math.max(0, retryAfter * 1000),
+    receivedAt: now
+  };
+}
+
+// Shared by every call of one run: holds new requests back until the limits reset
+function createRateLimitGate({ now = Date.now, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+  let pausedUntil = 0;
+  let inputTokensRemaining = null;
+  let inputTokensReset = null;
+
+  function pauseUntil(time) {
+    if (time && time > pausedUntil) pausedUntil = time;
+  }
+
+  return {
+    update(limits) {
+      if (!limits) return;
+      if (limits.retryAfterMs !== null) pauseUntil(limits.receivedAt + limits.retryAfterMs);
+      if (limits.requestsRemaining === 0) pauseUntil(limits.requestsReset);
+      if (limits.inputTokensRemaining !== null) {
+        inputTokensRemaining = limits.inputTokensRemaining;
+        inputTokensReset = limits.inputTokensReset;
+      }
+    },
+
+    // Waits until a request of about `inputTokens` may be sent
+    async ready(inputTokens = 0) {
+      for (;;) {
+        let until = pausedUntil;
+        if (inputTokensRemaining !== null && inputTokensRemaining < inputTokens && inputTokensReset > now()) {
+          until = Math.max(until, inputTokensReset);
+        }
+        const wait = until - now();
+        if (wait <= 0) break;
+        await sleep(wait);
+      }
+      if (inputTokensRemaining !== null) {
+        inputTokensRemaining = Math.max(0, inputTokensRemaining - inputTokens);
+      }
+    },
+
+    pausedUntil: () => pausedUntil
+  };
+}
+
+function isRetryableError(error) {
+  if (error.status === undefined || error.status === null) return true;
+  return RETRYABLE_STATUSES.has(error.status) || error.status >= 500;
+}
+
+// Delay before retry number `attempt` (1-based): the server's retry-after when
+// given, else exponential backoff with up to 25% jitter
+function retryDelay(attempt, { initialDelayMs = 1000, maxDelayMs = 60000, retryAfterMs = null, random = Math.random } = {}) {
+  if (retryAfterMs !== null) return Math.min(retryAfterMs, maxDelayMs);
+  const delay = Math.min(initialDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+  return Math.round(delay * (1 + random() * 0.25));
+}
+
+module.exports = {
+  parseRateLimitHeaders,
+  createRateLimitGate,
+  isRetryableError,
+  retryDelay
+};
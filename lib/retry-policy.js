@@ -0,0 +1,41 @@
+/**
+ * Retry Policy
+ *
+ * Decides whether a failed documentation job is retried and when. The policy
+ * comes from `settings.retry_policy` in project-registry.json, optionally
+ * overridden per project with a `retry_policy` block.
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 3,
+  initial_backoff_seconds: 60,
+  backoff_multiplier: 2,
+  max_backoff_seconds: 900,
+  // 1: handler step failed (gh, Cartographer), 128: git fetch/push, TIMEOUT: job timeout
+  retryable_exit_codes: [1, 128, 'TIMEOUT']
+};
+
+function resolveRetryPolicy(settings = {}, project = {}) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(settings.retry_policy || {}),
+    ...(project.retry_policy || {})
+  };
+}
+
+function isRetryable(policy, exitCode) {
+  return policy.retryable_exit_codes.some(code => String(code) === String(exitCode));
+}
+
+// Delay before the next attempt, where `attempt` is the attempt that just failed (1-based)
+function backoffDelay(policy, attempt) {
+  const seconds = policy.initial_backoff_seconds * Math.pow(policy.backoff_multiplier, attempt - 1);
+  return Math.min(seconds, policy.max_backoff_seconds) * 1000;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  backoffDelay
+};
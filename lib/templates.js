@@ -0,0 +1,162 @@
+/**
+ * PR and Commit Templates
+ *
+ * Renders `pr_title_template`, `pr_body_template` and `commit_message_template`
+ * from the registry (a project's own value wins over `settings`). Placeholders
+ * are `{name}`; unknown names are left as written. Variables:
+ *
+ *   {project} {repo} {branch} {trigger_event} {commit_sha} {commit_short}
+ *   {generated_at}  {since_commit}  {commit_count}  {commits}
+ *   {changed_sections}  {lines_added}  {lines_removed}
+ *   {tokens_input}  {tokens_output}  {tokens_total}  {cost_usd}
+ *
+ * {commits} and {changed_sections} are Markdown lists.
+ */
+
+const DEFAULT_TEMPLATES = {
+  pr_title: '📚 Auto-update documentation',
+  pr_body: `This PR was automatically generated by the Documentation Automation Hub.
+
+**Changes:**
+- Updated codebase documentation using Cartographer
+- {lines_added} lines added, {lines_removed} removed in the docs
+
+**Changed sections:**
+{changed_sections}
+
+**Source commits since the last docs run ({commit_count}):**
+{commits}
+
+**Details:**
+- **Triggered by:** \`{trigger_event}\`
+- **Source commit:** \`{commit_sha}\`
+- **Tokens:** {tokens_total} ({tokens_input} in, {tokens_output} out), est. cost {cost_usd}
+- **Generated:** {generated_at}
+
+**Review Checklist:**
+- [ ] Documentation accurately reflects current codebase
+- [ ] No sensitive information exposed
+- [ ] File paths and structure are correct
+- [ ] Links and references are valid
+
+---
+
+*This is an automated PR. Please review the changes before merging.*
+*After merge, the service will be automatically restarted.*`,
+  commit_message: `docs: auto-update documentation [skip ci]
+
+Generated by Documentation Automation Hub
+Triggered by: {trigger_event}
+Source commit: {commit_sha}`
+};
+
+const MAX_LISTED_COMMITS = 20;
+
+function renderTemplate(template, variables) {
+  return template.replace(/\{([a-z_]+)\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder
+  );
+}
+
+// Registry templates for one project, falling back to the built-in defaults
+function resolveTemplates(settings = {}, project = {}) {
+  const pick = (key) => project[`${key}_template`] ?? settings[`${key}_template`] ?? DEFAULT_TEMPLATES[key];
+  return {
+    pr_title: pick('pr_title'),
+    pr_body: pick('pr_body'),
+    commit_message: pick('commit_message')
+  };
+}
+
+// `## ` sections of a Markdown document, keyed by heading
+function splitSections(markdown) {
+  const sections = new Map();
+  let heading = null;
+  for (const line of (markdown || '').split('\n')) {
+    if (line.startsWith('## ')) {
+      heading = line.slice(3).trim();
+      sections.set(heading, '');
+    } else if (heading !== null) {
+      sections.set(heading, sections.get(heading) + line + '\n');
+    }
+  }
+  return sections;
+}
+
+// Headings whose content changed between two versions of the map, in new-map order
+function changedSections(before, after) {
+  const old = splitSections(before);
+  const current = splitSections(after);
+  const changes = [];
+
+  for (const [heading, body] of current) {
+    if (!old.has(heading)) changes.push(`${heading} (new)`);
+    else if (old.get(heading).trim() !== body.trim()) changes.push(heading);
+  }
+  for (const heading of old.keys()) {
+    if (!current.has(heading)) changes.push(`${heading} (removed)`);
+  }
+  return changes;
+}
+
+function markdownList(items, emptyText) {
+  return items.length ? items.map(item => `- ${item}`).join('\n') : `_${emptyText}_`;
+}
+
+// commits: [{ sha, subject, author }], newest first
+function formatCommits(commits) {
+  const listed = commits.slice(0, MAX_LISTED_COMMITS).map(c => `${c.sha.substring(0, 7)} ${c.subject} (${c.author})`);
+  if (commits.length > MAX_LISTED_COMMITS) {
+    listed.push(`…and ${commits.length - MAX_LISTED_COMMITS} more`);
+  }
+  return markdownList(listed, 'none');
+}
+
+function formatCost(usage) {
+  return typeof usage?.estimated_cost_usd === 'number' ? `$${usage.estimated_cost_usd.toFixed(4)}` : 'n/a';
+}
+
+function buildTemplateVariables({
+  projectName,
+  owner,
+  repo,
+  branch,
+  triggerEvent,
+  commitSha,
+  sinceCommit = null,
+  commits = [],
+  sections = [],
+  linesAdded = 0,
+  linesRemoved = 0,
+  usage = null
+}) {
+  const inputTokens = usage?.input_tokens ?? 0;
+  const outputTokens = usage?.output_tokens ?? 0;
+  return {
+    project: projectName,
+    repo: `${owner}/${repo}`,
+    branch,
+    trigger_event: triggerEvent,
+    commit_sha: commitSha || 'unknown',
+    commit_short: commitSha ? commitSha.substring(0, 7) : 'unknown',
+    generated_at: new Date().toISOString().replace('T', ' ').slice(0, 19) + ' UTC',
+    since_commit: sinceCommit ? sinceCommit.substring(0, 7) : 'the beginning',
+    commit_count: commits.length,
+    commits: formatCommits(commits),
+    changed_sections: markdownList(sections, 'no section changes'),
+    lines_added: linesAdded,
+    lines_removed: linesRemoved,
+    tokens_input: inputTokens,
+    tokens_output: outputTokens,
+    tokens_total: inputTokens + outputTokens,
+    cost_usd: formatCost(usage)
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  resolveTemplates,
+  changedSections,
+  buildTemplateVariables
+};
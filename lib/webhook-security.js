@@ -0,0 +1,157 @@
+/**
+ * Webhook Security
+ *
+ * HMAC helpers that accept several secrets (for rotation), an optional signed
+ * timestamp for non-GitHub senders, and a persistent short-lived store of
+ * `X-GitHub-Delivery` IDs and request signatures so replays and redeliveries
+ * are processed once.
+ *
+ * Per-project secrets live in the registry as `webhook_secrets`. Entries of the
+ * form `env:NAME` are read from the environment so the registry (which is in
+ * git) never has to hold the secret itself.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SECURITY_SETTINGS = {
+  delivery_ttl_hours: 72,
+  require_timestamp: false,
+  timestamp_tolerance_seconds: 300
+};
+
+function resolveSecuritySettings(settings = {}) {
+  return { ...DEFAULT_SECURITY_SETTINGS, ...(settings.webhook_security || {}) };
+}
+
+// Project secrets replace the global one; unresolved env references are dropped
+function resolveSecrets(project, env = process.env) {
+  const configured = project?.webhook_secrets;
+  if (Array.isArray(configured) && configured.length > 0) {
+    return configured
+      .map(entry => entry.startsWith('env:') ? env[entry.slice(4)] : entry)
+      .filter(Boolean);
+  }
+
+  const global = env.WEBHOOK_SECRET || env.GITHUB_WEBHOOK_SECRET;
+  return global ? [global] : [];
+}
+
+function computeSignature(secret, payload) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Constant-time match against any of the secrets
+function matchesAnySecret(signature, payload, secrets) {
+  const received = Buffer.from(signature);
+  return secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(secret, payload));
+    // timingSafeEqual throws on length mismatch, so compare lengths first
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+}
+
+function isTimestampFresh(timestamp, toleranceSeconds, now = Date.now()) {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && Math.abs(now / 1000 - seconds) <= toleranceSeconds;
+}
+
+function createDeliveryStore(journalPath) {
+  const deliveries = new Map();
+  let ttlMs = DEFAULT_SECURITY_SETTINGS.delivery_ttl_hours * 60 * 60 * 1000;
+  let writeChain = Promise.resolve();
+
+  function persist(entry) {
+    writeChain = writeChain
+      .then(() => fs.appendFile(journalPath, JSON.stringify(entry) + '\n'))
+      .catch(err => {
+        console.error('Failed to write delivery journal:', err);
+      });
+    return writeChain;
+  }
+
+  function isExpired(receivedAt, now = Date.now()) {
+    return now - receivedAt > ttlMs;
+  }
+
+  // Replay the journal, dropping expired and forgotten deliveries, then compact
+  async function load({ ttlHours } = {}) {
+    if (ttlHours) {
+      ttlMs = ttlHours * 60 * 60 * 1000;
+    }
+
+    let content = '';
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    deliveries.clear();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.forgotten) {
+          deliveries.delete(entry.id);
+        } else if (!isExpired(entry.receivedAt)) {
+          deliveries.set(entry.id, entry.receivedAt);
+        }
+      } catch (e) {
+        // A crash mid-append can leave a truncated last line
+      }
+    }
+
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    const tmpPath = `${journalPath}.tmp`;
+    const lines = [...deliveries].map(([id, receivedAt]) => JSON.stringify({ id, receivedAt }) + '\n');
+    await fs.writeFile(tmpPath, lines.join(''));
+    await fs.rename(tmpPath, journalPath);
+    return deliveries.size;
+  }
+
+  function has(id) {
+    const receivedAt = deliveries.get(id);
+    if (receivedAt === undefined) return false;
+    if (isExpired(receivedAt)) {
+      deliveries.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  function record(id) {
+    const receivedAt = Date.now();
+    deliveries.set(id, receivedAt);
+    persist({ id, receivedAt });
+  }
+
+  // Allow a redelivery after we failed to process the original
+  function forget(id) {
+    deliveries.delete(id);
+    persist({ id, forgotten: true });
+  }
+
+  function flush() {
+    return writeChain;
+  }
+
+  return {
+    load,
+    has,
+    record,
+    forget,
+    flush
+  };
+}
+
+module.exports = {
+  DEFAULT_SECURITY_SETTINGS,
+  resolveSecuritySettings,
+  resolveSecrets,
+  computeSignature,
+  matchesAnySecret,
+  isTimestampFresh,
+  createDeliveryStore
+};
@@ -11,10 +11,27 @@ const express = require('express');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { createJobStore } = require('./lib/job-store');
+const { createJobLogs } = require('./lib/job-logs');
+const { runHandler, stopTree } = require('./lib/handler-runner');
+const { resolveRetryPolicy, isRetryable, backoffDelay } = require('./lib/retry-policy');
+const { createPathFilter, changedFilesFromPush } = require('./lib/path-filters');
+const { classifyEvent } = require('./lib/github-events');
+const {
+  resolveSecuritySettings,
+  resolveSecrets,
+  matchesAnySecret,
+  isTimestampFresh,
+  createDeliveryStore
+} = require('./lib/webhook-security');
+const { createProjectRegistry } = require('./lib/project-registry');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { notify, outputTail } = require('./lib/notifications');
+const { resolveTemplates } = require('./lib/templates');
+const { DEFAULT_DOCUMENTS } = require('./lib/doc-outputs');
+const { resolveBudget } = require('./lib/file-selection');
+const { resolveQualityGate } = require('./lib/doc-quality');
 
-const execAsync = promisify(exec);
 
 // Load environment variables
 require('dotenv').config();
@@ -22,6 +39,13 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 6000;
 
+// Paths are overridable so the test suite can run against temporary fixtures
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, 'logs');
+// Generated docs of projects with delivery_mode "artifact"
+const ARTIFACTS_DIR = path.resolve(process.env.ARTIFACTS_DIR || path.join(__dirname, 'artifacts'));
+const HANDLERS_DIR = process.env.HANDLERS_DIR || path.join(__dirname, 'handlers');
+const REGISTRY_PATH = process.env.PROJECT_REGISTRY_PATH || path.join(__dirname, 'project-registry.json');
+
 // Middleware - capture raw body for webhook signature verification
 app.use(express.json({
   verify: (req, res, buf, encoding) => {
@@ -32,20 +56,111 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: true }));
 
-// Load project registry
+// Load project registry - validated against its schema and hot-reloaded when the file
+// changes; `projectRegistry` always holds the last config that passed validation
 let projectRegistry;
+const registry = createProjectRegistry(REGISTRY_PATH, {
+  log,
+  onReload: (next) => {
+    projectRegistry = next;
+  }
+});
+
 async function loadProjectRegistry() {
-  const registryPath = path.join(__dirname, 'project-registry.json');
-  const content = await fs.readFile(registryPath, 'utf8');
-  projectRegistry = JSON.parse(content);
+  projectRegistry = await registry.load();
   return projectRegistry;
 }
 
-// Job queue for managing concurrent documentation generation
-const jobQueue = [];
-let activeJobs = 0;
+// Durable job queue for managing concurrent documentation generation
+const jobStore = createJobStore(path.join(LOG_DIR, 'jobs.jsonl'));
+const jobLogs = createJobLogs(path.join(LOG_DIR, 'jobs'));
 const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '2');
 
+// Handler processes of running jobs, by job ID, so they can be cancelled
+const runningHandlers = new Map();
+// Set on SIGTERM/SIGINT: no new jobs start and finished handlers are not recorded
+let shuttingDown = false;
+
+// Prometheus metrics, served at GET /metrics
+const metrics = createMetrics({ prefix: 'doc_hub_' });
+const JOB_LABELS = ['project', 'type'];
+const jobsTotal = metrics.counter('jobs_total',
+  'Finished jobs by outcome (succeeded, failed, cancelled, superseded)', [...JOB_LABELS, 'outcome']);
+const jobRetries = metrics.counter('job_retries_total',
+  'Failed attempts that were scheduled for a retry', JOB_LABELS);
+const jobDuration = metrics.histogram('job_duration_seconds',
+  'Handler run time per attempt', [...JOB_LABELS, 'outcome'],
+  [10, 30, 60, 120, 300, 600, 900, 1800, 3600]);
+const queueWait = metrics.histogram('job_queue_wait_seconds',
+  'Time from a job becoming runnable to its handler starting', JOB_LABELS,
+  [1, 5, 15, 30, 60, 300, 900, 1800, 3600]);
+const signatureFailures = metrics.counter('webhook_signature_failures_total',
+  'Webhooks rejected for a missing or invalid signature', ['route']);
+const llmTokens = metrics.counter('llm_tokens_total',
+  'LLM tokens used by Cartographer', ['project', 'model', 'direction']);
+const llmCost = metrics.counter('llm_cost_usd_total',
+  'Estimated LLM cost in USD (models with known pricing only)', ['project', 'model']);
+
+metrics.gauge('jobs_running', 'Jobs currently running', () => [{ labels: {}, value: jobStore.count('running') }]);
+metrics.gauge('jobs_queued', 'Jobs waiting to run, including retries in backoff', () => [{ labels: {}, value: jobStore.count('queued') }]);
+
+// Per-project documentation health from the job journal, so it survives restarts.
+// Alert on docs failing for a day with:
+//   time() - doc_hub_docs_last_success_timestamp_seconds > 86400 and doc_hub_docs_consecutive_failures > 0
+function docsHealth() {
+  const health = new Map();
+  const finished = jobStore.list({ status: 'succeeded' })
+    .concat(jobStore.list({ status: 'failed' }))
+    .filter(job => (job.type || 'generate') === 'generate' && job.finishedAt)
+    .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+
+  for (const job of finished) {
+    const entry = health.get(job.project) || { lastSuccess: 0, lastFailure: 0, consecutiveFailures: 0 };
+    const at = Date.parse(job.finishedAt) / 1000;
+    if (job.status === 'succeeded') {
+      entry.lastSuccess = at;
+      entry.consecutiveFailures = 0;
+    } else {
+      entry.lastFailure = at;
+      entry.consecutiveFailures++;
+    }
+    health.set(job.project, entry);
+  }
+  return [...health];
+}
+
+metrics.gauge('docs_last_success_timestamp_seconds',
+  'When documentation last generated successfully (0 if never, within log retention)',
+  () => docsHealth().map(([project, entry]) => ({ labels: { project }, value: entry.lastSuccess })));
+metrics.gauge('docs_last_failure_timestamp_seconds',
+  'When documentation generation last failed for good (0 if never)',
+  () => docsHealth().map(([project, entry]) => ({ labels: { project }, value: entry.lastFailure })));
+metrics.gauge('docs_consecutive_failures',
+  'Failed documentation jobs since the last success',
+  () => docsHealth().map(([project, entry]) => ({ labels: { project }, value: entry.consecutiveFailures })));
+
+function jobLabels(job) {
+  return { project: job.project, type: job.type || 'generate' };
+}
+
+// X-GitHub-Delivery IDs already seen, so replays and redeliveries run once
+const deliveryStore = createDeliveryStore(path.join(LOG_DIR, 'deliveries.jsonl'));
+
+// Handler output kept on job records (tail end, where failures show up)
+const JOB_OUTPUT_MAX_CHARS = 4000;
+
+function truncateOutput(text) {
+  if (!text) return '';
+  if (text.length <= JOB_OUTPUT_MAX_CHARS) return text;
+  return '…' + text.slice(-JOB_OUTPUT_MAX_CHARS);
+}
+
+// Fallback for handlers that only print the PR URL (no PIPELINE_RESULT_FILE)
+function extractPrUrl(output) {
+  const match = (output || '').match(/https:\/\/github\.com\/[^\s]+\/pull\/\d+/);
+  return match ? match[0] : null;
+}
+
 // Logging utility
 function log(level, message, meta = {}) {
   const timestamp = new Date().toISOString();
@@ -58,14 +173,14 @@ function log(level, message, meta = {}) {
   console.log(JSON.stringify(logEntry));
 
   // Also write to log file
-  const logFile = path.join(__dirname, 'logs', `hub-${new Date().toISOString().split('T')[0]}.log`);
+  const logFile = path.join(LOG_DIR, `hub-${new Date().toISOString().split('T')[0]}.log`);
   fs.appendFile(logFile, JSON.stringify(logEntry) + '\n').catch(err => {
     console.error('Failed to write to log file:', err);
   });
 }
 
-// HMAC signature verification
-function verifyWebhookSignature(req) {
+// HMAC signature verification against the project's secrets (or the global one)
+function verifyWebhookSignature(req, project) {
   const signature = req.headers['x-hub-signature-256'];
   if (!signature) {
     log('warn', 'Missing signature header', {
@@ -74,23 +189,37 @@ function verifyWebhookSignature(req) {
     return false;
   }
 
-  const secret = process.env.WEBHOOK_SECRET || process.env.GITHUB_WEBHOOK_SECRET;
-  if (!secret) {
-    log('error', 'WEBHOOK_SECRET not configured');
+  const secrets = resolveSecrets(project);
+  if (secrets.length === 0) {
+    log('error', project?.webhook_secrets
+      ? 'No webhook_secrets could be resolved for project'
+      : 'WEBHOOK_SECRET not configured');
     return false;
   }
 
   // Use raw body (before JSON parsing) for signature verification
-  const payload = req.rawBody || JSON.stringify(req.body);
-  const hmac = crypto.createHmac('sha256', secret);
-  const digest = 'sha256=' + hmac.update(payload).digest('hex');
+  let payload = req.rawBody || JSON.stringify(req.body);
+
+  // Non-GitHub senders may sign "<timestamp>.<body>" and send the timestamp alongside
+  const timestamp = req.headers['x-hub-timestamp'];
+  if (timestamp !== undefined) {
+    const { timestamp_tolerance_seconds } = resolveSecuritySettings(projectRegistry?.settings);
+    if (!isTimestampFresh(timestamp, timestamp_tolerance_seconds)) {
+      log('warn', 'Webhook timestamp outside tolerance', {
+        timestamp,
+        toleranceSeconds: timestamp_tolerance_seconds
+      });
+      return false;
+    }
+    payload = `${timestamp}.${payload}`;
+  }
 
-  const isValid = crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(digest));
+  const isValid = matchesAnySecret(signature, payload, secrets);
 
   if (!isValid) {
     log('warn', 'Signature mismatch', {
       received: signature,
-      expected: digest,
+      secretsTried: secrets.length,
       payloadLength: payload.length,
       payloadPreview: payload.substring(0, 100)
     });
@@ -99,32 +228,125 @@ function verifyWebhookSignature(req) {
   return isValid;
 }
 
+// Reports the generate handler leaves for the hub: Cartographer's token usage
+// (`usage`) and the pipeline outcome (`result`)
+function jobReportPath(job, kind) {
+  return path.resolve(LOG_DIR, 'jobs', `${job.id}.${kind}.json`);
+}
+
+// Missing when the run never got that far (or for fake handlers in tests)
+async function readJobReport(job, kind) {
+  const reportPath = jobReportPath(job, kind);
+  try {
+    return JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch (e) {
+    return null;
+  } finally {
+    await fs.unlink(reportPath).catch(() => {});
+  }
+}
+
+function recordLlmUsage(job, usage) {
+  const labels = { project: job.project, model: usage.model };
+  llmTokens.inc({ ...labels, direction: 'input' }, usage.input_tokens || 0);
+  llmTokens.inc({ ...labels, direction: 'output' }, usage.output_tokens || 0);
+  if (typeof usage.estimated_cost_usd === 'number') {
+    llmCost.inc(labels, usage.estimated_cost_usd);
+  }
+}
+
+// Handler script and environment for each job type
+function jobHandler(job, project) {
+  if (job.type === 'restart') {
+    return {
+      label: 'Service restart',
+      script: 'restart-service.sh',
+      env: {
+        SERVICE_TYPE: project.service_type,
+        SERVICE_NAME: project.service_name,
+        RESTART_COMMAND: project.restart_command
+      }
+    };
+  }
+
+  // Provider settings: registry defaults, per-project overrides, LLM_PROVIDER env wins (e.g. CI)
+  const llmConfig = { ...projectRegistry.settings.llm, ...project.llm };
+  const templates = resolveTemplates(projectRegistry.settings, project);
+
+  return {
+    label: 'Documentation generation',
+    script: 'generate-docs.sh',
+    env: {
+      LLM_USAGE_FILE: jobReportPath(job, 'usage'),
+      PIPELINE_RESULT_FILE: jobReportPath(job, 'result'),
+      REPO_OWNER: project.repo_owner,
+      REPO_NAME: project.repo_name,
+      COMMIT_SHA: job.commit,
+      TRIGGER_EVENT: job.ref,
+      DELIVERY_MODE: project.delivery_mode || 'pr',
+      ARTIFACTS_DIR,
+      DOCS_PATH: project.docs_path || 'docs',
+      CODEBASE_MAP_FILE: project.codebase_map_file || '',
+      DOC_OUTPUTS: JSON.stringify(project.documents || projectRegistry.settings.documents || DEFAULT_DOCUMENTS),
+      PR_BRANCH_PREFIX: projectRegistry.settings.pr_branch_prefix,
+      PR_TITLE_TEMPLATE: templates.pr_title,
+      PR_BODY_TEMPLATE: templates.pr_body,
+      COMMIT_MESSAGE_TEMPLATE: templates.commit_message,
+      WATCH_PATHS: JSON.stringify(project.watch_paths || []),
+      IGNORE_PATHS: JSON.stringify(project.ignore_paths || []),
+      LLM_CONFIG: JSON.stringify(llmConfig),
+      CARTOGRAPHER_BUDGET: JSON.stringify(resolveBudget(projectRegistry.settings, project)),
+      QUALITY_GATE: JSON.stringify(resolveQualityGate(projectRegistry.settings, project)),
+      LLM_PROVIDER: process.env.LLM_PROVIDER || llmConfig.provider || 'anthropic'
+    }
+  };
+}
+
 // Job processor
-async function processJob(job) {
-  const { project, payload } = job;
+async function processJob(job, project) {
   const startTime = Date.now();
+  const timeoutMinutes = parseInt(process.env.JOB_TIMEOUT_MINUTES) || 30;
+  const handler = jobHandler(job, project);
 
-  log('info', 'Processing documentation job', {
+  log('info', `Processing ${handler.label.toLowerCase()} job`, {
+    jobId: job.id,
     project: project.repo_name,
-    commit: payload.after?.substring(0, 7),
-    ref: payload.ref
+    commit: job.commit?.substring(0, 7),
+    ref: job.ref
   });
 
-  try {
-    // Step 1: Generate documentation using handler script
-    const handlerPath = path.join(__dirname, 'handlers', 'generate-docs.sh');
-    const result = await execAsync(`bash ${handlerPath} ${project.repo_name}`, {
-      env: {
-        ...process.env,
-        PROJECT_NAME: project.repo_name,
-        WORKSPACE_PATH: project.workspace_path,
-        COMMIT_SHA: payload.after,
-        TRIGGER_EVENT: payload.ref,
-        PR_BRANCH_PREFIX: projectRegistry.settings.pr_branch_prefix
-      },
-      timeout: (parseInt(process.env.JOB_TIMEOUT_MINUTES) || 30) * 60 * 1000
-    });
+  // Run the handler script, streaming output to the job log
+  const jobLog = await jobLogs.open(job.id);
+  const handlerPath = path.join(HANDLERS_DIR, handler.script);
+  const result = await runHandler(handlerPath, [project.repo_name], {
+    env: {
+      ...process.env,
+      PROJECT_NAME: project.repo_name,
+      WORKSPACE_PATH: project.workspace_path,
+      DEFAULT_BRANCH: project.default_branch,
+      ...handler.env
+    },
+    timeout: timeoutMinutes * 60 * 1000,
+    onOutput: (stream, chunk) => jobLog.write(stream, chunk),
+    onSpawn: (child) => {
+      runningHandlers.set(job.id, child);
+      // Cancelled while the job log was being opened
+      if (job.cancelRequested) stopHandler(child);
+    }
+  });
+  runningHandlers.delete(job.id);
+
+  const isGenerate = job.type !== 'restart';
+  const llmUsage = isGenerate ? await readJobReport(job, 'usage') : null;
+  if (llmUsage) {
+    recordLlmUsage(job, llmUsage);
+  }
+  const pipeline = isGenerate ? await readJobReport(job, 'result') : null;
+
+  const success = result.exitCode === 0;
+  await jobLog.close();
 
+  if (success) {
     // Log stderr as warnings if present (e.g., Cartographer scanner warnings)
     if (result.stderr) {
       log('warn', 'Script produced stderr output (may be harmless warnings)', {
@@ -133,8 +355,9 @@ async function processJob(job) {
       });
     }
 
-    log('info', 'Documentation generation completed', {
+    log('info', `${handler.label} completed`, {
       project: project.repo_name,
+      outcome: pipeline?.outcome,
       duration: Date.now() - startTime,
       stdout: result.stdout.substring(0, 500)
     });
@@ -142,59 +365,342 @@ async function processJob(job) {
     return {
       success: true,
       duration: Date.now() - startTime,
-      output: result.stdout
+      output: result.stdout,
+      stderr: result.stderr,
+      llmUsage,
+      pipeline
     };
+  }
 
-  } catch (error) {
-    // Only treat as failure if the script actually failed (non-zero exit code)
-    // Note: execAsync throws on non-zero exit codes or timeout
-    const isTimeout = error.message.includes('timeout') || error.killed;
-    const exitCode = error.code || (isTimeout ? 'TIMEOUT' : 'UNKNOWN');
+  // Non-zero exit, timeout, or the handler could not be spawned at all
+  const exitCode = result.timedOut ? 'TIMEOUT' : (result.exitCode ?? result.signal ?? 'UNKNOWN');
+  const errorMessage = result.timedOut ?
+    `Handler timed out after ${timeoutMinutes} minutes` :
+    result.error ? result.error.message :
+    pipeline?.error?.message || `Handler exited with code ${exitCode}`;
 
-    log('error', 'Documentation generation failed', {
-      project: project.repo_name,
-      duration: Date.now() - startTime,
-      exitCode: exitCode,
-      error: error.message,
-      stderr: error.stderr?.substring(0, 500),
-      stdout: error.stdout?.substring(0, 500)
+  log('error', `${handler.label} failed`, {
+    project: project.repo_name,
+    duration: Date.now() - startTime,
+    exitCode: exitCode,
+    error: errorMessage,
+    stderr: result.stderr.substring(0, 500),
+    stdout: result.stdout.substring(0, 500)
+  });
+
+  return {
+    success: false,
+    duration: Date.now() - startTime,
+    error: errorMessage,
+    exitCode: exitCode,
+    output: result.stdout,
+    stderr: result.stderr,
+    llmUsage,
+    pipeline
+  };
+}
+
+// Notifications are best effort and never hold up the queue
+function sendNotification(projectName, project, message) {
+  notify({
+    settings: projectRegistry.settings,
+    project,
+    message: { project: projectName, ...message },
+    log
+  });
+}
+
+// restart-service.sh exits 3 when the service does not come back online
+const EXIT_NOT_ONLINE = 3;
+
+function restartFailedTitle(projectName, project, exitCode) {
+  return exitCode === EXIT_NOT_ONLINE ?
+    `${project.service_name || projectName} is not online after restart` :
+    `Service restart failed for ${projectName}`;
+}
+
+// A job failed for good (no retries left)
+function notifyJobFailed(job, project, { error, exitCode, output }) {
+  const isRestart = job.type === 'restart';
+  sendNotification(job.project, project, {
+    event: isRestart ? 'restart_failed' : 'job_failed',
+    title: isRestart ?
+      restartFailedTitle(job.project, project, exitCode) :
+      `Documentation job failed for ${job.project}`,
+    text: outputTail(output),
+    fields: {
+      Commit: job.commit?.substring(0, 7),
+      'Exit code': exitCode,
+      Attempts: job.attempts,
+      Error: error,
+      Job: job.id
+    }
+  });
+}
+
+// Ends the log stream of a finished job; a job queued for a retry keeps it open
+function announceOutcome(job) {
+  if (job.status === 'queued') {
+    jobLogs.retrying(job.id, { attempt: job.attempts, nextAttemptAt: job.nextAttemptAt });
+  } else {
+    jobLogs.end(job.id, job.status);
+  }
+}
+
+// Record the outcome of a run: succeed, schedule a retry, or dead-letter the job
+function finishJob(job, project, result) {
+  const policy = resolveRetryPolicy(projectRegistry.settings, project);
+  const outcome = {
+    finishedAt: new Date().toISOString(),
+    duration: result.duration,
+    exitCode: result.success ? 0 : result.exitCode,
+    error: result.error || null,
+    // pr_created, pr_updated, committed, artifact_written, no_changes or failed; errorCode is the pipeline error's code (e.g. PUSH_REJECTED)
+    outcome: result.pipeline?.outcome || null,
+    errorCode: result.pipeline?.error?.code || null,
+    prUrl: result.pipeline?.pullRequest?.url || extractPrUrl(result.output),
+    artifactPath: result.pipeline?.artifactPath || null,
+    qualityFindings: result.pipeline?.qualityFindings || result.pipeline?.error?.details?.findings || null,
+    stdout: truncateOutput(result.output),
+    stderr: truncateOutput(result.stderr),
+    llmUsage: result.llmUsage || null
+  };
+
+  const attemptOutcome = result.success ? 'succeeded' : job.cancelRequested ? 'cancelled' : 'failed';
+  if (result.duration !== undefined) {
+    jobDuration.observe({ ...jobLabels(job), outcome: attemptOutcome }, result.duration / 1000);
+  }
+
+  if (result.success) {
+    jobsTotal.inc({ ...jobLabels(job), outcome: 'succeeded' });
+    // A refreshed PR is the same PR; only announce new ones
+    if (outcome.prUrl && outcome.outcome !== 'pr_updated') {
+      sendNotification(job.project, project, {
+        event: 'pr_created',
+        title: outcome.qualityFindings?.length ?
+          `Draft documentation PR opened for ${job.project} (${outcome.qualityFindings.length} quality findings)` :
+          `Documentation PR opened for ${job.project}`,
+        url: outcome.prUrl,
+        fields: { PR: outcome.prUrl, Commit: job.commit?.substring(0, 7), Job: job.id }
+      });
+    }
+    return jobStore.update(job.id, { ...outcome, status: 'succeeded', nextAttemptAt: null });
+  }
+
+  if (job.cancelRequested) {
+    jobsTotal.inc({ ...jobLabels(job), outcome: 'cancelled' });
+    return jobStore.update(job.id, { ...outcome, status: 'cancelled', error: 'Cancelled', nextAttemptAt: null });
+  }
+
+  if (isRetryable(policy, outcome.exitCode) && job.attempts < policy.max_attempts) {
+    // A push during the run already queued a follow-up for a newer commit; a retry
+    // would be a second queued run for an older one, so the follow-up takes over
+    const followUp = jobStore.findQueued(job.project, job.type || 'generate');
+    if (followUp) {
+      const supersededCommits = [...(followUp.supersededCommits || []), ...(job.supersededCommits || []), job.commit]
+        .filter((commit, index, all) => commit && commit !== followUp.commit && all.indexOf(commit) === index);
+      jobStore.update(followUp.id, { supersededCommits });
+      log('warn', 'Job failed, superseded by the queued follow-up instead of retrying', {
+        jobId: job.id,
+        project: job.project,
+        followUpJobId: followUp.id,
+        exitCode: outcome.exitCode
+      });
+      jobsTotal.inc({ ...jobLabels(job), outcome: 'superseded' });
+      return jobStore.update(job.id, { ...outcome, status: 'superseded', supersededBy: followUp.id, nextAttemptAt: null });
+    }
+
+    const delay = backoffDelay(policy, job.attempts);
+    log('warn', 'Job failed, scheduling retry', {
+      jobId: job.id,
+      project: job.project,
+      attempt: job.attempts,
+      maxAttempts: policy.max_attempts,
+      exitCode: outcome.exitCode,
+      retryInSeconds: delay / 1000
+    });
+    jobRetries.inc(jobLabels(job));
+    return jobStore.update(job.id, {
+      ...outcome,
+      status: 'queued',
+      finishedAt: null,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString()
     });
+  }
 
-    return {
-      success: false,
-      duration: Date.now() - startTime,
-      error: error.message,
-      exitCode: exitCode
-    };
+  log('error', 'Job moved to dead-letter list', {
+    jobId: job.id,
+    project: job.project,
+    attempts: job.attempts,
+    exitCode: outcome.exitCode,
+    error: outcome.error
+  });
+  jobsTotal.inc({ ...jobLabels(job), outcome: 'failed' });
+  notifyJobFailed(job, project, {
+    error: outcome.error,
+    exitCode: outcome.exitCode,
+    output: result.stderr || result.output
+  });
+  return jobStore.update(job.id, { ...outcome, status: 'failed', deadLetter: true, nextAttemptAt: null });
+}
+
+// Wake the queue when the earliest backed-off retry becomes due
+let retryTimer = null;
+function scheduleRetryWakeup() {
+  clearTimeout(retryTimer);
+  const at = jobStore.nextRetryAt();
+  if (at !== null) {
+    retryTimer = setTimeout(processQueue, Math.max(at - Date.now(), 0) + 100);
+  }
+}
+
+// Queue a documentation run, coalescing with a job already waiting for the project.
+// A push during a running job therefore leaves exactly one follow-up queued.
+function enqueueJob(projectName, { type = 'generate', ref, commit, retryOf }) {
+  const queued = jobStore.findQueued(projectName, type);
+
+  if (queued) {
+    const supersededCommits = [...(queued.supersededCommits || [])];
+    if (queued.commit && queued.commit !== commit) supersededCommits.push(queued.commit);
+
+    // A fresh commit replaces a backed-off retry, so it runs without waiting
+    const job = jobStore.update(queued.id, {
+      ref,
+      commit,
+      supersededCommits,
+      attempts: 0,
+      nextAttemptAt: null
+    });
+    return { job, coalesced: true };
+  }
+
+  const job = jobStore.create({ project: projectName, type, ref, commit, retryOf });
+  return { job, coalesced: false };
+}
+
+// Stop a job: queued jobs are dropped, running ones have their handler tree killed
+// and are marked cancelled by finishJob once the handler exits
+function cancelJob(job) {
+  if (job.status === 'queued') {
+    jobsTotal.inc({ ...jobLabels(job), outcome: 'cancelled' });
+    const cancelled = jobStore.update(job.id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+      error: 'Cancelled',
+      nextAttemptAt: null
+    });
+    jobLogs.end(job.id, 'cancelled');
+    return cancelled;
   }
+
+  jobStore.update(job.id, { cancelRequested: true });
+  const child = runningHandlers.get(job.id);
+  if (child) stopHandler(child);
+  return job;
+}
+
+// Escalates to SIGKILL if the tree ignores SIGTERM; shutdown waits for this, so
+// kill_timeout in ecosystem.config.js must stay above the grace period
+function stopHandler(child) {
+  return stopTree(child, { graceMs: 10000 });
 }
 
-// Queue manager
+// Handlers run in their own process group, so they would outlive the hub and race
+// the re-queued run on the next start; resolves once every handler tree is gone
+function stopRunningJobs() {
+  shuttingDown = true;
+  return Promise.all([...runningHandlers.values()].map(stopHandler));
+}
+
+// Queue manager - the job store is the source of truth for queued/running jobs.
+// Jobs for the same project never run concurrently: they share one workspace.
 async function processQueue() {
-  while (jobQueue.length > 0 && activeJobs < MAX_CONCURRENT_JOBS) {
-    const job = jobQueue.shift();
-    activeJobs++;
+  while (!shuttingDown && jobStore.count('running') < MAX_CONCURRENT_JOBS) {
+    const busyProjects = new Set(jobStore.list({ status: 'running' }).map(running => running.project));
+    const job = jobStore.nextQueued({ busyProjects });
+    if (!job) break;
+
+    const project = projectRegistry.projects[job.project];
+
+    if (!project || !project.enabled) {
+      log('warn', 'Dropping queued job for unknown or disabled project', {
+        jobId: job.id,
+        project: job.project
+      });
+      jobsTotal.inc({ ...jobLabels(job), outcome: 'failed' });
+      jobStore.update(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: 'Project not found or disabled'
+      });
+      jobLogs.end(job.id, 'failed');
+      continue;
+    }
+
+    // Jobs interrupted by repeated crashes still count against the retry budget
+    const policy = resolveRetryPolicy(projectRegistry.settings, project);
+    if ((job.attempts || 0) >= policy.max_attempts) {
+      log('error', 'Job moved to dead-letter list', {
+        jobId: job.id,
+        project: job.project,
+        attempts: job.attempts,
+        error: 'Retry budget exhausted by interrupted runs'
+      });
+      jobsTotal.inc({ ...jobLabels(job), outcome: 'failed' });
+      notifyJobFailed(job, project, { error: 'Retry budget exhausted by interrupted runs' });
+      jobStore.update(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: 'Retry budget exhausted by interrupted runs',
+        deadLetter: true,
+        nextAttemptAt: null
+      });
+      jobLogs.end(job.id, 'failed');
+      continue;
+    }
 
-    processJob(job)
+    queueWait.observe(jobLabels(job), (Date.now() - Date.parse(job.nextAttemptAt || job.createdAt)) / 1000);
+    jobStore.update(job.id, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      attempts: (job.attempts || 0) + 1
+    });
+
+    processJob(job, project)
       .then(result => {
+        // Killed by the shutdown: stays running in the journal and is re-queued on the next start
+        if (shuttingDown) return;
+        announceOutcome(finishJob(job, project, result));
+
         log('info', 'Job completed', {
-          project: job.project.repo_name,
+          jobId: job.id,
+          project: job.project,
           success: result.success,
           duration: result.duration
         });
       })
       .catch(error => {
+        if (shuttingDown) return;
+        announceOutcome(finishJob(job, project, {
+          success: false,
+          duration: Date.now() - Date.parse(job.startedAt),
+          error: error.message,
+          exitCode: 'UNKNOWN'
+        }));
+
         log('error', 'Job processing error', {
-          project: job.project.repo_name,
+          jobId: job.id,
+          project: job.project,
           error: error.message
         });
       })
       .finally(() => {
-        activeJobs--;
         // Process next job in queue
         setImmediate(processQueue);
       });
   }
+
+  scheduleRetryWakeup();
 }
 
 // Health check endpoint
@@ -203,28 +709,224 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    activeJobs,
-    queueLength: jobQueue.length
+    activeJobs: jobStore.count('running'),
+    queueLength: jobStore.count('queued')
   });
 });
 
-// Webhook endpoint for GitHub Actions
-app.post('/webhook/generate-docs', async (req, res) => {
-  // Verify webhook signature
-  if (!verifyWebhookSignature(req)) {
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Public view of a job record
+function serializeJob(job) {
+  return {
+    id: job.id,
+    project: job.project,
+    type: job.type || 'generate',
+    status: job.status,
+    ref: job.ref,
+    commit: job.commit,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    duration: job.status === 'running' ?
+      Date.now() - Date.parse(job.startedAt) :
+      job.duration ?? null,
+    exitCode: job.exitCode ?? null,
+    error: job.error || null,
+    attempts: job.attempts || 0,
+    nextAttemptAt: job.nextAttemptAt || null,
+    deadLetter: Boolean(job.deadLetter),
+    supersededCommits: job.supersededCommits || [],
+    supersededBy: job.supersededBy || null,
+    retryOf: job.retryOf || null,
+    cancelRequested: Boolean(job.cancelRequested),
+    outcome: job.outcome || null,
+    errorCode: job.errorCode || null,
+    prUrl: job.prUrl || null,
+    artifactPath: job.artifactPath || null,
+    llmUsage: job.llmUsage || null,
+    stdout: job.stdout || '',
+    stderr: job.stderr || ''
+  };
+}
+
+// Newest first, optionally filtered by status and commit (full SHA or prefix)
+function queryJobs(query, baseFilter = {}) {
+  const filter = { ...baseFilter };
+  if (query.status) filter.status = query.status;
+  if (query.project) filter.project = query.project;
+
+  let jobs = jobStore.list(filter).reverse();
+  if (query.commit) {
+    jobs = jobs.filter(job => job.commit && job.commit.startsWith(query.commit));
+  }
+
+  const limit = Math.min(parseInt(query.limit) || 50, 500);
+  return jobs.slice(0, limit).map(serializeJob);
+}
+
+// Job status and history
+app.get('/jobs', (req, res) => {
+  res.json({ jobs: queryJobs(req.query) });
+});
+
+// Jobs that failed after exhausting their retries
+app.get('/jobs/dead-letter', (req, res) => {
+  res.json({ jobs: queryJobs(req.query, { deadLetter: true }) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+app.get('/projects/:name/jobs', async (req, res) => {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
+
+  if (!projectRegistry.projects[req.params.name]) {
+    return res.status(404).json({ error: 'Project not found in registry' });
+  }
+
+  res.json({
+    project: req.params.name,
+    jobs: queryJobs(req.query, { project: req.params.name })
+  });
+});
+
+// Live handler output as Server-Sent Events; finished jobs replay their log and close
+app.get('/jobs/:id/logs', async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before replaying so no line falls between the file and the live feed
+  let lastSeq = 0;
+  let replaying = true;
+  const pending = [];
+
+  const onLine = (entry) => {
+    if (replaying) return pending.push(entry);
+    if (entry.seq > lastSeq) {
+      lastSeq = entry.seq;
+      send(entry.stream, entry);
+    }
+  };
+
+  // Comment lines keep idle connections open through the nginx proxy
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), 30000);
+
+  const onEnd = ({ status }) => {
+    send('end', { status });
+    cleanup();
+    res.end();
+  };
+
+  // A failed attempt that will be retried; its next attempt streams on
+  const onRetrying = (details) => send('retrying', details);
+
+  const unsubscribe = jobLogs.subscribe(job.id, onLine, onEnd, onRetrying);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+
+  for (const entry of await jobLogs.read(job.id)) {
+    lastSeq = entry.seq;
+    send(entry.stream, entry);
+  }
+  replaying = false;
+  pending.forEach(onLine);
+
+  // Nothing more will arrive for finished jobs
+  if (!jobLogs.isLive(job.id) && ['succeeded', 'failed', 'cancelled', 'superseded'].includes(job.status)) {
+    onEnd({ status: job.status });
+  }
+});
+
+// Signature, timestamp and delivery-ID checks shared by the webhook routes.
+// Answers the request itself and returns false when it must not be processed.
+async function authenticateWebhook(req, res) {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
+
+  const project = projectRegistry.projects[req.body?.repository?.name];
+  if (!verifyWebhookSignature(req, project)) {
+    signatureFailures.inc({ route: req.path });
     log('warn', 'Invalid webhook signature', {
       ip: req.ip,
+      path: req.path,
       headers: req.headers
     });
-    return res.status(401).json({ error: 'Invalid signature' });
+    res.status(401).json({ error: 'Invalid signature' });
+    return false;
+  }
+
+  // X-GitHub-Delivery is not signed, so a replay can change or drop it; the
+  // verified signature covers the body (and timestamp) and is remembered too
+  const deliveryId = req.headers['x-github-delivery'];
+  const signatureKey = `signature:${req.headers['x-hub-signature-256']}`;
+  if (!deliveryId) {
+    // Without a delivery ID only a signed timestamp bounds how long a captured request can be replayed
+    const { require_timestamp } = resolveSecuritySettings(projectRegistry.settings);
+    if (require_timestamp && req.headers['x-hub-timestamp'] === undefined) {
+      log('warn', 'Webhook without delivery ID or timestamp rejected', { ip: req.ip, path: req.path });
+      res.status(401).json({ error: 'Missing X-Hub-Timestamp header' });
+      return false;
+    }
+  }
+
+  const keys = deliveryId ? [deliveryId, signatureKey] : [signatureKey];
+  if (keys.some(key => deliveryStore.has(key))) {
+    log('info', 'Duplicate webhook delivery acknowledged', {
+      deliveryId,
+      repository: req.body?.repository?.name
+    });
+    res.status(200).json({ message: 'Duplicate delivery, already processed', deliveryId });
+    return false;
   }
 
-  const payload = req.body;
+  keys.forEach(key => deliveryStore.record(key));
+
+  // A delivery we failed to handle may be redelivered by GitHub
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      keys.forEach(key => deliveryStore.forget(key));
+    }
+  });
+
+  return true;
+}
+
+// Resolve the registry entry a webhook payload refers to
+async function resolveWebhookProject(payload) {
   const projectName = payload.repository?.name;
 
   if (!projectName) {
-    log('warn', 'Missing project name in webhook payload', { payload });
-    return res.status(400).json({ error: 'Missing repository name' });
+    return { projectName, error: { status: 400, body: { error: 'Missing repository name' } } };
   }
 
   // Load project configuration
@@ -232,119 +934,346 @@ app.post('/webhook/generate-docs', async (req, res) => {
     await loadProjectRegistry();
   }
 
-  const project = projectRegistry.projects[projectName];
+  return { projectName, project: projectRegistry.projects[projectName] };
+}
 
-  if (!project) {
-    log('warn', 'Unknown project received webhook', { projectName });
-    return res.status(404).json({ error: 'Project not found in registry' });
-  }
+// Queue documentation generation for a project and answer 202
+function queueGeneration(res, projectName, project, payload, { ref, commit }) {
+  // Skip pushes that touch nothing the project watches (pushes whose files are unknown always run)
+  const changedFiles = changedFilesFromPush(payload);
+  if (changedFiles) {
+    const isWatched = createPathFilter({
+      include: project.watch_paths,
+      exclude: project.ignore_paths
+    });
 
-  if (!project.enabled) {
-    log('info', 'Webhook received for disabled project', { projectName });
-    return res.status(200).json({ message: 'Project is disabled' });
+    if (!changedFiles.some(isWatched)) {
+      log('info', 'Push does not touch watched paths, skipping', {
+        project: projectName,
+        commit: commit?.substring(0, 7),
+        changedFiles: changedFiles.length
+      });
+      return res.status(200).json({
+        message: 'No watched paths changed, skipping',
+        project: projectName
+      });
+    }
   }
 
-  // Add job to queue
-  jobQueue.push({ project, payload });
+  // Add job to the durable queue (or retarget the one already waiting)
+  const { job, coalesced } = enqueueJob(projectName, { ref, commit });
+  const queueLength = jobStore.count('queued');
+  const activeJobs = jobStore.count('running');
 
-  log('info', 'Documentation job queued', {
+  log('info', coalesced ? 'Documentation job coalesced with queued job' : 'Documentation job queued', {
+    jobId: job.id,
     project: projectName,
-    queuePosition: jobQueue.length,
+    commit: job.commit?.substring(0, 7),
+    queuePosition: queueLength,
     activeJobs
   });
 
   // Respond immediately
   res.status(202).json({
-    message: 'Documentation generation queued',
+    message: coalesced ?
+      'Documentation generation already queued, target commit updated' :
+      'Documentation generation queued',
+    jobId: job.id,
+    coalesced,
     project: projectName,
-    queuePosition: jobQueue.length,
+    queuePosition: queueLength,
     estimatedWaitTime: activeJobs >= MAX_CONCURRENT_JOBS ?
-      `${Math.ceil(jobQueue.length / MAX_CONCURRENT_JOBS) * 5} minutes` :
+      `${Math.ceil(queueLength / MAX_CONCURRENT_JOBS) * 5} minutes` :
       'Processing soon'
   });
 
   // Start processing queue
   setImmediate(processQueue);
-});
+}
 
-// Webhook endpoint for service restart (called after PR merge)
-app.post('/webhook/restart-service', async (req, res) => {
-  // Verify webhook signature
-  if (!verifyWebhookSignature(req)) {
-    log('warn', 'Invalid webhook signature for restart', {
-      ip: req.ip
+// Run the restart handler for a project and answer with its outcome
+// Merge webhooks queue a restart job like the admin API does: it waits for the
+// project's docs jobs (they share the workspace), counts against
+// MAX_CONCURRENT_JOBS, can be cancelled and shows up in the job history
+function queueRestart(res, projectName, project, commit) {
+  const { job, coalesced } = enqueueJob(projectName, {
+    type: 'restart',
+    ref: `refs/heads/${project.default_branch}`,
+    commit: commit || null
+  });
+
+  log('info', coalesced ? 'Service restart coalesced with queued restart' : 'Service restart queued', {
+    jobId: job.id,
+    project: projectName,
+    commit: job.commit?.substring(0, 7)
+  });
+
+  res.status(202).json({
+    message: coalesced ? 'Service restart already queued, target commit updated' : 'Service restart queued',
+    jobId: job.id,
+    coalesced,
+    project: projectName
+  });
+
+  setImmediate(processQueue);
+}
+
+// GitHub webhook target - dispatches on X-GitHub-Event. /webhook/generate-docs keeps
+// accepting the push-shaped payloads our GitHub Actions send without an event header.
+app.post(['/webhook/github', '/webhook/generate-docs'], async (req, res) => {
+  if (!(await authenticateWebhook(req, res))) return;
+
+  const event = req.headers['x-github-event'] || 'push';
+  const payload = req.body;
+
+  if (event === 'ping') {
+    log('info', 'Webhook ping received', {
+      hookId: payload.hook_id,
+      repository: payload.repository?.name
     });
-    return res.status(401).json({ error: 'Invalid signature' });
+    return res.status(200).json({ message: 'pong', hookId: payload.hook_id });
   }
 
-  const payload = req.body;
-  const projectName = payload.repository?.name;
+  const { projectName, project, error } = await resolveWebhookProject(payload);
 
-  if (!projectName) {
-    return res.status(400).json({ error: 'Missing repository name' });
+  if (error) {
+    log('warn', 'Missing project name in webhook payload', { event });
+    return res.status(error.status).json(error.body);
   }
 
-  // Load project configuration
-  if (!projectRegistry) {
-    await loadProjectRegistry();
+  if (!project) {
+    log('warn', 'Unknown project received webhook', { projectName, event });
+    return res.status(404).json({ error: 'Project not found in registry' });
+  }
+
+  if (!project.enabled) {
+    log('info', 'Webhook received for disabled project', { projectName, event });
+    return res.status(200).json({ message: 'Project is disabled' });
+  }
+
+  const decision = classifyEvent(event, payload, project);
+
+  switch (decision.action) {
+    case 'generate':
+      return queueGeneration(res, projectName, project, payload, decision);
+    case 'restart':
+      return queueRestart(res, projectName, project, decision.commit);
+    default:
+      log('info', 'Webhook event skipped', { projectName, event, reason: decision.message });
+      return res.status(200).json({ message: decision.message, event });
   }
+});
 
-  const project = projectRegistry.projects[projectName];
+// Webhook endpoint for service restart (called after PR merge)
+app.post('/webhook/restart-service', async (req, res) => {
+  if (!(await authenticateWebhook(req, res))) return;
+
+  const payload = req.body;
+  const { projectName, project, error } = await resolveWebhookProject(payload);
+
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
 
   if (!project || !project.enabled) {
     return res.status(404).json({ error: 'Project not found or disabled' });
   }
 
-  // Check if this is a merge to default branch
-  const isMerge = payload.ref === `refs/heads/${project.default_branch}` &&
-                  payload.head_commit?.message?.includes('Merge pull request');
+  // Native pull_request events say whether the PR was merged; push-shaped payloads
+  // from GitHub Actions fall back to the merge commit message
+  const event = req.headers['x-github-event'];
+  let commit = payload.after;
+  let isMerge;
+
+  if (event === 'pull_request') {
+    const decision = classifyEvent(event, payload, project);
+    isMerge = decision.action === 'restart';
+    commit = decision.commit;
+  } else {
+    isMerge = payload.ref === `refs/heads/${project.default_branch}` &&
+              payload.head_commit?.message?.includes('Merge pull request');
+  }
 
   if (!isMerge) {
     return res.status(200).json({ message: 'Not a merge event, skipping restart' });
   }
 
-  log('info', 'Service restart requested', {
+  return queueRestart(res, projectName, project, commit);
+});
+
+// Admin API - manual triggers and job control, authenticated with
+// `Authorization: Bearer $ADMIN_API_TOKEN`. Everything goes through the job queue.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API disabled: ADMIN_API_TOKEN not configured' });
+  }
+
+  const received = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    log('warn', 'Invalid admin token', { ip: req.ip, path: req.path });
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+// Resolve :name to an enabled project, or answer 404/409
+async function resolveAdminProject(req, res) {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
+
+  const project = projectRegistry.projects[req.params.name];
+  if (!project) {
+    res.status(404).json({ error: 'Project not found in registry' });
+    return null;
+  }
+  if (!project.enabled) {
+    res.status(409).json({ error: 'Project is disabled' });
+    return null;
+  }
+  return project;
+}
+
+function queueAdminJob(res, projectName, fields) {
+  const { job, coalesced } = enqueueJob(projectName, fields);
+
+  log('info', 'Admin job queued', {
+    jobId: job.id,
     project: projectName,
-    commit: payload.after?.substring(0, 7)
+    type: job.type,
+    commit: job.commit?.substring(0, 7),
+    retryOf: fields.retryOf,
+    coalesced
   });
 
-  try {
-    // Execute restart handler
-    const handlerPath = path.join(__dirname, 'handlers', 'restart-service.sh');
-    const result = await execAsync(`bash ${handlerPath} ${projectName}`, {
-      env: {
-        ...process.env,
-        PROJECT_NAME: projectName,
-        SERVICE_TYPE: project.service_type,
-        SERVICE_NAME: project.service_name,
-        RESTART_COMMAND: project.restart_command,
-        WORKSPACE_PATH: project.workspace_path
-      }
-    });
+  res.status(202).json({
+    message: coalesced ? 'Job already queued, target updated' : 'Job queued',
+    jobId: job.id,
+    coalesced,
+    job: serializeJob(job)
+  });
 
-    log('info', 'Service restarted successfully', {
-      project: projectName,
-      output: result.stdout
-    });
+  setImmediate(processQueue);
+}
 
-    res.json({
-      success: true,
-      message: 'Service restarted',
-      output: result.stdout
-    });
+// Regenerate docs, optionally for a specific ref or commit
+app.post('/projects/:name/generate', requireAdmin, async (req, res) => {
+  const project = await resolveAdminProject(req, res);
+  if (!project) return;
+
+  const { ref, sha } = req.body || {};
+  const fullRef = !ref ? `refs/heads/${project.default_branch}` :
+    ref.startsWith('refs/') ? ref : `refs/heads/${ref}`;
+
+  queueAdminJob(res, req.params.name, { type: 'generate', ref: fullRef, commit: sha || null });
+});
+
+app.post('/projects/:name/restart', requireAdmin, async (req, res) => {
+  const project = await resolveAdminProject(req, res);
+  if (!project) return;
+
+  queueAdminJob(res, req.params.name, {
+    type: 'restart',
+    ref: `refs/heads/${project.default_branch}`,
+    commit: null
+  });
+});
+
+app.post('/jobs/:id/cancel', requireAdmin, (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+
+  cancelJob(job);
+  log('info', 'Job cancelled', { jobId: job.id, project: job.project, status: job.status });
+  res.json({ message: 'Job cancelled', job: serializeJob(job) });
+});
+
+// Re-run a finished job as a new job with the same project, type, ref and commit
+app.post('/jobs/:id/retry', requireAdmin, async (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ error: `Job is still ${job.status}` });
+  }
+
+  req.params.name = job.project;
+  if (!(await resolveAdminProject(req, res))) return;
+
+  queueAdminJob(res, job.project, {
+    type: job.type || 'generate',
+    ref: job.ref,
+    commit: job.commit,
+    retryOf: job.id
+  });
+});
+
+// Registry entries - changes are validated and written back to project-registry.json
+app.get('/projects/:name', requireAdmin, async (req, res) => {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
 
+  const project = projectRegistry.projects[req.params.name];
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found in registry' });
+  }
+  res.json({ name: req.params.name, project });
+});
+
+app.put('/projects/:name', requireAdmin, async (req, res, next) => {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
+
+  const created = !projectRegistry.projects[req.params.name];
+  try {
+    await registry.saveProject(req.params.name, req.body);
   } catch (error) {
-    log('error', 'Service restart failed', {
-      project: projectName,
-      error: error.message,
-      stderr: error.stderr
-    });
+    if (!error.problems) return next(error);
+    return res.status(400).json({ error: 'Invalid project configuration', problems: error.problems });
+  }
+
+  log('info', created ? 'Project added to registry' : 'Project updated in registry', {
+    project: req.params.name
+  });
+  res.status(created ? 201 : 200).json({ name: req.params.name, project: projectRegistry.projects[req.params.name] });
+});
 
-    res.status(500).json({
-      success: false,
-      error: error.message
+app.delete('/projects/:name', requireAdmin, async (req, res, next) => {
+  if (!projectRegistry) {
+    await loadProjectRegistry();
+  }
+
+  if (!projectRegistry.projects[req.params.name]) {
+    return res.status(404).json({ error: 'Project not found in registry' });
+  }
+
+  const pending = ['queued', 'running']
+    .flatMap(status => jobStore.list({ project: req.params.name, status }));
+  if (pending.length > 0) {
+    return res.status(409).json({
+      error: 'Project has queued or running jobs; cancel them first',
+      jobs: pending.map(job => job.id)
     });
   }
+
+  try {
+    await registry.deleteProject(req.params.name);
+  } catch (error) {
+    return next(error);
+  }
+  log('info', 'Project removed from registry', { project: req.params.name });
+  res.json({ message: 'Project removed', name: req.params.name });
 });
 
 // Error handling middleware
@@ -361,16 +1290,40 @@ app.use((err, req, res, next) => {
 async function start() {
   try {
     // Create logs directory
-    await fs.mkdir(path.join(__dirname, 'logs'), { recursive: true });
+    await fs.mkdir(LOG_DIR, { recursive: true });
 
-    // Load project registry
+    // Load project registry; an invalid file stops startup with the schema errors
     await loadProjectRegistry();
+    registry.watch();
 
-    app.listen(PORT, '0.0.0.0', () => {
-      log('info', 'Documentation Automation Hub started', {
-        port: PORT,
-        projects: Object.keys(projectRegistry.projects).length,
-        maxConcurrentJobs: MAX_CONCURRENT_JOBS
+    // Reload pending jobs; anything left running by a crash is re-queued
+    const recovered = await jobStore.load({
+      retentionDays: projectRegistry.settings.log_retention_days
+    });
+
+    await jobLogs.prune(jobStore.list().map(job => job.id));
+
+    await deliveryStore.load({
+      ttlHours: resolveSecuritySettings(projectRegistry.settings).delivery_ttl_hours
+    });
+
+    if (recovered.queued > 0) {
+      log('info', 'Recovered pending jobs from journal', {
+        queued: recovered.queued,
+        interrupted: recovered.interrupted
+      });
+    }
+
+    return await new Promise(resolve => {
+      const server = app.listen(PORT, '0.0.0.0', () => {
+        log('info', 'Documentation Automation Hub started', {
+          port: server.address().port,
+          projects: Object.keys(projectRegistry.projects).length,
+          maxConcurrentJobs: MAX_CONCURRENT_JOBS
+        });
+
+        setImmediate(processQueue);
+        resolve(server);
       });
     });
   } catch (error) {
@@ -382,16 +1335,29 @@ async function start() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  log('info', 'SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Run directly (PM2, npm start); the test suite requires the module instead
+if (require.main === module) {
+  // Graceful shutdown - stop the handlers, then flush the job journal; running jobs are re-queued on next start
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      log('info', `${signal} received, shutting down gracefully`);
+      stopRunningJobs()
+        .then(() => Promise.all([jobStore.flush(), deliveryStore.flush()]))
+        .finally(() => process.exit(0));
+    });
+  }
 
-process.on('SIGINT', () => {
-  log('info', 'SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  // Start the server
+  start();
+}
 
-// Start the server
-start();
+module.exports = {
+  app,
+  start,
+  jobStore,
+  jobLogs,
+  processQueue,
+  stopRunningJobs,
+  verifyWebhookSignature,
+  loadProjectRegistry
+};
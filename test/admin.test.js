@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const {
+  makeTempDir,
+  projectEntry,
+  writeRegistry,
+  writeFakeHandlers,
+  startHub,
+  postWebhook,
+  adminRequest,
+  openEvents,
+  waitFor
+} = require('./helpers');
+
+const tmp = makeTempDir('admin');
+let hub;
+let server;
+let baseUrl;
+let registryPath;
+
+test.before(async () => {
+  registryPath = writeRegistry(tmp, {
+    alpha: projectEntry('alpha'),
+    beta: projectEntry('beta'),
+    delta: projectEntry('delta', { enabled: false })
+  });
+
+  ({ hub, server, baseUrl } = await startHub({
+    LOG_DIR: path.join(tmp, 'logs'),
+    HANDLERS_DIR: writeFakeHandlers(tmp, { sleepSeconds: 2 }),
+    PROJECT_REGISTRY_PATH: registryPath,
+    MAX_CONCURRENT_JOBS: '2'
+  }));
+});
+
+test.after(async () => {
+  await waitFor(() => hub.jobStore.count('running') === 0 && hub.jobStore.count('queued') === 0);
+  await hub.jobStore.flush();
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('rejects requests without the admin token', async () => {
+  const { status } = await adminRequest(baseUrl, '/projects/alpha/generate', {}, { token: 'wrong' });
+  assert.strictEqual(status, 401);
+  assert.strictEqual(hub.jobStore.list().length, 0);
+});
+
+test('validates the project before queueing', async () => {
+  assert.strictEqual((await adminRequest(baseUrl, '/projects/omega/generate')).status, 404);
+  assert.strictEqual((await adminRequest(baseUrl, '/projects/delta/restart')).status, 409);
+});
+
+test('queues a generation for a given ref and commit', async () => {
+  const { status, body } = await adminRequest(baseUrl, '/projects/alpha/generate', {
+    ref: 'release',
+    sha: 'feed123'
+  });
+  assert.strictEqual(status, 202);
+  assert.strictEqual(body.job.ref, 'refs/heads/release');
+
+  const job = await waitFor(() => {
+    const current = hub.jobStore.get(body.jobId);
+    return current.status === 'succeeded' && current;
+  });
+  assert.strictEqual(job.type, 'generate');
+  assert.match(job.stdout, /Generating docs for alpha at feed123/);
+});
+
+test('runs service restarts through the queue', async () => {
+  const { status, body } = await adminRequest(baseUrl, '/projects/beta/restart');
+  assert.strictEqual(status, 202);
+  assert.strictEqual(body.job.type, 'restart');
+
+  const job = await waitFor(() => {
+    const current = hub.jobStore.get(body.jobId);
+    return current.status === 'succeeded' && current;
+  });
+  assert.match(job.stdout, /restarted beta \(custom\)/);
+});
+
+test('cancels a running job and retries it as a new job', async () => {
+  const { body: queued } = await adminRequest(baseUrl, '/projects/alpha/generate', { sha: 'abc1111' });
+  await waitFor(() => hub.jobStore.get(queued.jobId).status === 'running');
+
+  const cancel = await adminRequest(baseUrl, `/jobs/${queued.jobId}/cancel`);
+  assert.strictEqual(cancel.status, 200);
+
+  const cancelled = await waitFor(() => {
+    const current = hub.jobStore.get(queued.jobId);
+    return current.status === 'cancelled' && current;
+  });
+  assert.strictEqual(cancelled.deadLetter, undefined);
+  assert.strictEqual((await adminRequest(baseUrl, `/jobs/${queued.jobId}/cancel`)).status, 409);
+
+  const retry = await adminRequest(baseUrl, `/jobs/${queued.jobId}/retry`);
+  assert.strictEqual(retry.status, 202);
+  assert.notStrictEqual(retry.body.jobId, queued.jobId);
+  assert.strictEqual(retry.body.job.retryOf, queued.jobId);
+  assert.strictEqual(retry.body.job.commit, 'abc1111');
+
+  await waitFor(() => hub.jobStore.get(retry.body.jobId).status === 'succeeded');
+});
+
+test('cancels a queued job before it starts', async () => {
+  const { body: first } = await adminRequest(baseUrl, '/projects/beta/generate');
+  await waitFor(() => hub.jobStore.get(first.jobId).status === 'running');
+  const { body: second } = await adminRequest(baseUrl, '/projects/beta/generate');
+  const { events } = await openEvents(baseUrl, `/jobs/${second.jobId}/logs`);
+
+  const { status } = await adminRequest(baseUrl, `/jobs/${second.jobId}/cancel`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(hub.jobStore.get(second.jobId).status, 'cancelled');
+  assert.strictEqual(hub.jobStore.get(second.jobId).startedAt, null);
+  assert.deepStrictEqual(await events, [{ event: 'end', data: { status: 'cancelled' } }]);
+});
+
+test('adds, updates and removes projects in the registry file', async () => {
+  const invalid = await adminRequest(baseUrl, '/projects/zeta', { enabled: true }, { method: 'PUT' });
+  assert.strictEqual(invalid.status, 400);
+  assert.ok(invalid.body.problems.some(problem => /workspace_path/.test(problem)));
+
+  const created = await adminRequest(baseUrl, '/projects/zeta', projectEntry('zeta'), { method: 'PUT' });
+  assert.strictEqual(created.status, 201);
+  const onDisk = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  assert.strictEqual(onDisk.projects.zeta.repo_name, 'zeta');
+
+  // Usable straight away, without a restart
+  const { status } = await postWebhook(baseUrl, '/webhook/generate-docs', {
+    repository: { name: 'zeta' },
+    ref: 'refs/heads/main',
+    after: 'zzz9999'
+  });
+  assert.strictEqual(status, 202);
+
+  const busy = await adminRequest(baseUrl, '/projects/zeta', {}, { method: 'DELETE' });
+  assert.strictEqual(busy.status, 409);
+  await waitFor(() => hub.jobStore.list({ project: 'zeta', status: 'succeeded' }).length === 1);
+
+  const updated = await adminRequest(baseUrl, '/projects/zeta', projectEntry('zeta', { enabled: false }), { method: 'PUT' });
+  assert.strictEqual(updated.status, 200);
+  const fetched = await adminRequest(baseUrl, '/projects/zeta', {}, { method: 'GET' });
+  assert.strictEqual(fetched.body.project.enabled, false);
+
+  const removed = await adminRequest(baseUrl, '/projects/zeta', {}, { method: 'DELETE' });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual((await adminRequest(baseUrl, '/projects/zeta', {}, { method: 'GET' })).status, 404);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveDocLayout,
+  isGeneratedPath,
+  groupByTopLevelDirectory,
+  expectedOutputs,
+  relatedDocumentsSection,
+  findRoutes,
+  renderRouteReference
+} = require('../lib/doc-outputs');
+
+test('lays out every document under docs_path and always keeps the map', () => {
+  const layout = resolveDocLayout({ docsPath: './documentation/', documents: ['routes', 'directories'] });
+  assert.strictEqual(layout.mapFile, 'documentation/CODEBASE_MAP.md');
+  assert.strictEqual(layout.stateFile, 'documentation/.codebase-map-state.json');
+  assert.deepStrictEqual(layout.documents, ['map', 'directories', 'routes']);
+  assert.deepStrictEqual(expectedOutputs(layout, ['lib', 'src']), [
+    'documentation/CODEBASE_MAP.md',
+    'documentation/modules/lib.md',
+    'documentation/modules/src.md',
+    'documentation/API_ROUTES.md'
+  ]);
+
+  assert.ok(isGeneratedPath(layout, 'documentation/modules/lib.md'));
+  assert.ok(isGeneratedPath(layout, 'documentation/.codebase-map-state.json'));
+  assert.ok(!isGeneratedPath(layout, 'documentation/ARCHITECTURE.md'));
+  assert.ok(!isGeneratedPath(layout, 'documentation/guide.md'));
+
+  assert.deepStrictEqual(resolveDocLayout().documents, ['map']);
+  assert.strictEqual(resolveDocLayout({ mapFile: 'MAP.md' }).mapFile, 'MAP.md');
+});
+
+test('groups files by top-level directory and links the map to the other documents', () => {
+  const dirs = groupByTopLevelDirectory(['src/b.js', 'README.md', 'lib/x/y.js', 'src/a.js']);
+  assert.deepStrictEqual([...dirs], [['lib', ['lib/x/y.js']], ['src', ['src/a.js', 'src/b.js']]]);
+
+  const layout = resolveDocLayout({ mapFile: 'CODEBASE_MAP.md', documents: ['directories', 'routes', 'diagrams'] });
+  assert.strictEqual(relatedDocumentsSection(layout, ['lib']), [
+    '',
+    '',
+    '## Related Documents',
+    '',
+    '- [Architecture diagrams](docs/ARCHITECTURE.md)',
+    '- [HTTP route reference](docs/API_ROUTES.md)',
+    '- Module pages:',
+    '  - [lib/](docs/modules/lib.md)',
+    ''
+  ].join('\n'));
+  assert.strictEqual(relatedDocumentsSection(resolveDocLayout()), '');
+});
+
+test('finds Express, Flask, FastAPI and Next.js routes', () => {
+  const routes = findRoutes([
+    { path: 'server.js', content: "const app = express();\n\napp.get('/health', h);\nrouter.post(\"/jobs/:id\", h);\napp.all(`/any`, h);\n" },
+    { path: 'api/app.py', content: "@app.route('/items', methods=['GET', 'POST'])\ndef items(): pass\n@router.delete('/items/{id}')\ndef drop(): pass\n" },
+    { path: 'web/pages/api/users/[id].ts', content: 'export default handler;' },
+    { path: 'web/app/(shop)/cart/route.ts', content: 'export async function GET() {}\nexport const POST = () => {};\n' },
+    { path: 'README.md', content: "app.get('/not-code')" }
+  ]);
+
+  assert.deepStrictEqual(routes.map(r => `${r.method} ${r.path} ${r.file}:${r.line}`), [
+    'ANY /any server.js:5',
+    'ANY /api/users/:id web/pages/api/users/[id].ts:1',
+    'GET /cart web/app/(shop)/cart/route.ts:1',
+    'POST /cart web/app/(shop)/cart/route.ts:2',
+    'GET /health server.js:3',
+    'GET, POST /items api/app.py:1',
+    'DELETE /items/{id} api/app.py:3',
+    'POST /jobs/:id server.js:4'
+  ]);
+
+  const layout = resolveDocLayout({ documents: ['routes'] });
+  const reference = renderRouteReference('demo', layout, routes.slice(0, 1));
+  assert.match(reference, /^# demo - HTTP Route Reference/);
+  assert.match(reference, /\[codebase map\]\(CODEBASE_MAP\.md\)/);
+  assert.match(reference, /\| ANY \| `\/any` \| \[`server\.js:5`\]\(\.\.\/server\.js#L5\) \|/);
+  assert.match(renderRouteReference('demo', layout, []), /_No HTTP routes found\._/);
+});
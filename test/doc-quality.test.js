@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_QUALITY_GATE,
+  REQUIRED_SECTIONS,
+  resolveQualityGate,
+  checkDocument,
+  checkDocuments,
+  formatFindings
+} = require('../lib/doc-quality');
+
+const FILES = ['server.js', 'lib/store.js', 'lib/queue.js', 'docs/CODEBASE_MAP.md', 'docs/modules/lib.md'];
+
+function map(body) {
+  return ['# demo - Codebase Map', '', ...REQUIRED_SECTIONS.map.map(section => `## ${section}\n\ntext\n`), body].join('\n');
+}
+
+function findingsOf(content, { file = 'docs/CODEBASE_MAP.md', type = 'map', previous = null } = {}) {
+  return checkDocuments([{ file, type, content, previous }], FILES).map(({ check, message }) => `${check}: ${message}`);
+}
+
+test('passes a complete map whose paths and links resolve', () => {
+  const body = [
+    '`server.js` wires `lib/store.js` and `lib/` together; see `docs/modules/lib.md:3`.',
+    'Expressions such as `res.send()`, `/health`, `src/**/*.js` and `node:test` are not paths.',
+    '[Module page](modules/lib.md), [source](../server.js#L2), [top](#system-overview), [site](https://example.com)',
+    '```js',
+    "require('./lib/missing.js'); // [not a link](nowhere.md)",
+    '```'
+  ].join('\n');
+  assert.deepStrictEqual(findingsOf(map(body)), []);
+});
+
+test('reports missing paths, sections, broken links and unclosed fences', () => {
+  const content = [
+    '# demo - Codebase Map',
+    '## System Overview',
+    'The queue lives in `lib/jobs/queue.js` next to `worker.js`; `lib/queue.js` is real.',
+    '[Routes](API_ROUTES.md), [overview](#system-overview), [gone](#data-flow)',
+    '```mermaid',
+    'graph TD'
+  ].join('\n');
+
+  assert.deepStrictEqual(findingsOf(content), [
+    'unclosed-fence: code block opened on line 5 is never closed',
+    ...REQUIRED_SECTIONS.map.slice(1).map(section => `missing-section: missing section "## ${section}"`),
+    'missing-path: `lib/jobs/queue.js` does not exist in the repository',
+    'missing-path: `worker.js` does not exist in the repository',
+    'broken-link: link target API_ROUTES.md does not exist',
+    'broken-link: link to #data-flow matches no heading'
+  ]);
+  assert.deepStrictEqual(findingsOf('# lib/\n\n## Purpose\n\n## Notes\n', { file: 'docs/modules/lib.md', type: 'directories' }), [
+    'missing-section: missing section "## Key Files"',
+    'missing-section: missing section "## Interfaces"'
+  ]);
+});
+
+test('reports links with malformed percent-escapes instead of throwing', () => {
+  assert.deepStrictEqual(findingsOf(map('[coverage](#100%), [x](a%zz.md), [ok](../lib/store%2Ejs)')), [
+    'broken-link: link to #100% matches no heading',
+    'broken-link: link target a%zz.md does not exist'
+  ]);
+});
+
+test('flags a document that lost more than max_shrink of its lines', () => {
+  const previous = map('line\n'.repeat(60));
+  const doc = { file: 'docs/CODEBASE_MAP.md', type: 'map', content: map(''), previous };
+  const index = { paths: new Set(FILES), names: new Set() };
+
+  const [finding] = checkDocument(doc, index);
+  assert.strictEqual(finding.check, 'shrinkage');
+  assert.match(finding.message, /^shrank from \d+ to \d+ lines \(-\d+%\)$/);
+  assert.deepStrictEqual(checkDocument(doc, index, { ...DEFAULT_QUALITY_GATE, max_shrink: 0.9 }), []);
+  assert.deepStrictEqual(checkDocument({ ...doc, previous: 'short\n' }, index), []);
+});
+
+test('resolves the gate from settings and project, and formats findings as a list', () => {
+  assert.deepStrictEqual(resolveQualityGate(), DEFAULT_QUALITY_GATE);
+  assert.deepStrictEqual(
+    resolveQualityGate({ quality_gate: { on_failure: 'block', max_shrink: 0.3 } }, { quality_gate: { max_shrink: 0.8 } }),
+    { ...DEFAULT_QUALITY_GATE, on_failure: 'block', max_shrink: 0.8 }
+  );
+
+  const findings = [1, 2, 3].map(n => ({ file: 'docs/CODEBASE_MAP.md', check: 'missing-path', message: `\`f${n}.js\` does not exist in the repository` }));
+  assert.strictEqual(formatFindings(findings, 2), [
+    '- `docs/CODEBASE_MAP.md` (missing-path): `f1.js` does not exist in the repository',
+    '- `docs/CODEBASE_MAP.md` (missing-path): `f2.js` does not exist in the repository',
+    '- …and 1 more'
+  ].join('\n'));
+});
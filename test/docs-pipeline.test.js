@@ -0,0 +1,372 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { runDocsPipeline, parseGitHubRemote } = require('../lib/docs-pipeline');
+const { createGitHubClient } = require('../lib/github-api');
+const {
+  WorkspaceNotFoundError,
+  NoChangesError,
+  PushRejectedError,
+  BranchMovedError,
+  PRCreateFailedError,
+  QualityGateFailedError
+} = require('../lib/pipeline-errors');
+const { DEFAULT_QUALITY_GATE, REQUIRED_SECTIONS } = require('../lib/doc-quality');
+const { makeTempDir, gitEnv, git, createRepo, startGitHubMock } = require('./helpers');
+
+const tmp = makeTempDir('pipeline');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// The pipeline's git commands commit as the test identity
+Object.assign(process.env, gitEnv());
+
+const MAP = '# Codebase Map\n\n## System Overview\n';
+
+// Stand-in for Cartographer: writes a fixed map into the worktree
+async function writeMap({ worktreeDir }) {
+  fs.mkdirSync(path.join(worktreeDir, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(worktreeDir, 'docs', 'CODEBASE_MAP.md'), MAP);
+}
+
+async function setup(name, mockOptions) {
+  const dir = path.join(tmp, name);
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  const github = await startGitHubMock(mockOptions);
+  test.after(() => github.close());
+
+  const run = (overrides = {}) => runDocsPipeline({
+    projectName: 'demo',
+    workspacePath: repo.workspace,
+    github: createGitHubClient({ token: 'test-token', apiUrl: github.url }),
+    repoOwner: 'acme',
+    repoName: 'demo',
+    commitSha: repo.sha,
+    triggerEvent: 'refs/heads/main',
+    worktreeRoot: dir,
+    generate: writeMap,
+    log: () => {},
+    ...overrides
+  });
+  return { dir, repo, github, run };
+}
+
+test('resolves with the PR and cleans up the worktree', async () => {
+  const { repo, github, run } = await setup('created');
+
+  const result = await run();
+  assert.strictEqual(result.outcome, 'pr_created');
+  assert.deepStrictEqual(result.pullRequest, { number: 42, url: 'https://github.com/acme/demo/pull/42' });
+  assert.strictEqual(git(repo.origin, ['show', `${result.branch}:docs/CODEBASE_MAP.md`]) + '\n', MAP);
+  assert.strictEqual(github.received[1].body.title, '📚 Auto-update documentation');
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+  assert.strictEqual(git(repo.workspace, ['branch', '--list', 'docs/*']), '');
+});
+
+test('renders the templates with commits since the last run and changed sections', async () => {
+  const { repo, github, run } = await setup('templates');
+
+  // A previous docs run recorded the initial commit; one source commit follows it
+  fs.mkdirSync(path.join(repo.workspace, 'docs'));
+  fs.writeFileSync(path.join(repo.workspace, 'docs', 'CODEBASE_MAP.md'), '# Codebase Map\n\n## System Overview\nold\n');
+  fs.writeFileSync(path.join(repo.workspace, 'docs', '.codebase-map-state.json'), JSON.stringify({ version: 1, commit: repo.sha }));
+  git(repo.workspace, ['add', 'docs']);
+  git(repo.workspace, ['commit', '-q', '-m', 'docs: previous run']);
+  fs.writeFileSync(path.join(repo.workspace, 'src/index.js'), 'module.exports = 3;\n');
+  git(repo.workspace, ['commit', '-q', '-am', 'Add feature']);
+  git(repo.workspace, ['push', '-q', 'origin', 'main']);
+  const head = git(repo.workspace, ['rev-parse', 'HEAD']);
+
+  const result = await run({
+    commitSha: head,
+    templates: {
+      pr_title: '{project}: docs for {commit_short}',
+      pr_body: '{commit_count} commits\n{commits}\n{changed_sections}\n+{lines_added}/-{lines_removed} {tokens_total} {cost_usd} {unknown}',
+      commit_message: 'docs({project}): refresh for {commit_short}'
+    }
+  });
+
+  const [, create] = github.received;
+  assert.strictEqual(create.body.title, `demo: docs for ${head.substring(0, 7)}`);
+  const lines = create.body.body.split('\n');
+  assert.strictEqual(lines[0], '2 commits');
+  assert.match(lines[1], /^- [0-9a-f]{7} Add feature \(Test Bot\)$/);
+  assert.match(lines[2], /^- [0-9a-f]{7} docs: previous run \(Test Bot\)$/);
+  assert.strictEqual(lines[3], '- System Overview');
+  assert.strictEqual(lines[4], '+0/-1 0 n/a {unknown}');
+  assert.strictEqual(git(repo.origin, ['log', '-1', '--format=%s', result.branch]), `docs(demo): refresh for ${head.substring(0, 7)}`);
+});
+
+test('force-pushes to the newest open docs PR and closes the older ones', async () => {
+  const dir = path.join(tmp, 'reuse');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+
+  // Two earlier docs branches with open PRs, plus someone else's branch
+  const pullFor = (number, ref) => {
+    git(repo.workspace, ['push', '-q', 'origin', `main:refs/heads/${ref}`]);
+    return {
+      number,
+      head: { ref, sha: repo.sha, repo: { full_name: 'acme/demo' } },
+      base: { ref: 'main' }
+    };
+  };
+  const openPulls = [
+    pullFor(5, 'docs/auto-update-20240101-000000'),
+    pullFor(7, 'docs/auto-update-20240102-000000'),
+    pullFor(6, 'feature/docs-typo')
+  ];
+
+  // Regenerate from a newer source commit
+  fs.writeFileSync(path.join(repo.workspace, 'src/index.js'), 'module.exports = 2;\n');
+  git(repo.workspace, ['commit', '-q', '-am', 'change']);
+  git(repo.workspace, ['push', '-q', 'origin', 'main']);
+  const source = git(repo.workspace, ['rev-parse', 'HEAD']);
+
+  const github = await startGitHubMock({ openPulls });
+  let result;
+  try {
+    result = await runDocsPipeline({
+      projectName: 'demo',
+      workspacePath: repo.workspace,
+      github: createGitHubClient({ token: 'test-token', apiUrl: github.url }),
+      repoOwner: 'acme',
+      repoName: 'demo',
+      commitSha: source,
+      worktreeRoot: dir,
+      generate: writeMap,
+      log: () => {}
+    });
+  } finally {
+    github.close();
+  }
+
+  assert.strictEqual(result.outcome, 'pr_updated');
+  assert.strictEqual(result.branch, 'docs/auto-update-20240102-000000');
+  assert.deepStrictEqual(result.pullRequest, { number: 7, url: 'https://github.com/acme/demo/pull/7' });
+  assert.deepStrictEqual(result.supersededPullRequests, [5]);
+  assert.strictEqual(git(repo.origin, ['rev-parse', `${result.branch}~1`]), source);
+
+  const requests = github.received.map(({ method, path: route }) => `${method} ${route}`);
+  assert.ok(!requests.includes('POST /repos/acme/demo/pulls'));
+  assert.deepStrictEqual(requests.slice(1), [
+    'PATCH /repos/acme/demo/pulls/7',
+    'POST /repos/acme/demo/issues/5/comments',
+    'PATCH /repos/acme/demo/pulls/5',
+    'DELETE /repos/acme/demo/git/refs/heads/docs/auto-update-20240101-000000'
+  ]);
+  assert.match(github.received[1].body.body, new RegExp(`Source commit:\\*\\* \`${source}\``));
+  assert.deepStrictEqual(github.received[3].body, { state: 'closed' });
+  assert.strictEqual(git(repo.workspace, ['branch', '--list', 'docs/*']), '');
+});
+
+test('replaces the worktree and local branch an interrupted run left behind', async () => {
+  const dir = path.join(tmp, 'leftover');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  const branch = 'docs/auto-update-20240102-000000';
+  git(repo.workspace, ['push', '-q', 'origin', `main:refs/heads/${branch}`]);
+  const openPulls = [{ number: 7, head: { ref: branch, sha: repo.sha, repo: { full_name: 'acme/demo' } }, base: { ref: 'main' } }];
+
+  // A killed run's worktree still has the branch checked out
+  git(repo.workspace, ['worktree', 'add', '-q', '-b', branch, path.join(dir, 'docs-demo-killed'), repo.sha]);
+
+  const github = await startGitHubMock({ openPulls });
+  let result;
+  try {
+    result = await runDocsPipeline({
+      projectName: 'demo',
+      workspacePath: repo.workspace,
+      github: createGitHubClient({ token: 'test-token', apiUrl: github.url }),
+      repoOwner: 'acme',
+      repoName: 'demo',
+      commitSha: repo.sha,
+      worktreeRoot: dir,
+      generate: writeMap,
+      log: () => {}
+    });
+  } finally {
+    github.close();
+  }
+
+  assert.strictEqual(result.outcome, 'pr_updated');
+  assert.strictEqual(git(repo.origin, ['show', `${branch}:docs/CODEBASE_MAP.md`]) + '\n', MAP);
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+  assert.strictEqual(git(repo.workspace, ['branch', '--list', 'docs/*']), '');
+});
+
+test('direct mode fast-forwards the default branch with a [skip ci] commit', async () => {
+  const { repo, github, run } = await setup('direct');
+
+  const result = await run({
+    deliveryMode: 'direct',
+    templates: { commit_message: 'docs: refresh for {commit_short}\n\nbody' }
+  });
+  assert.strictEqual(result.outcome, 'committed');
+  assert.strictEqual(result.branch, 'main');
+  assert.strictEqual(git(repo.origin, ['rev-parse', 'main']), result.commit);
+  assert.strictEqual(git(repo.origin, ['rev-parse', 'main~1']), repo.sha);
+  assert.strictEqual(git(repo.origin, ['log', '-1', '--format=%s', 'main']), `docs: refresh for ${repo.sha.substring(0, 7)} [skip ci]`);
+  assert.strictEqual(github.received.length, 0);
+  assert.strictEqual(git(repo.origin, ['branch', '--list', 'docs/*']), '');
+});
+
+test('direct mode refuses to commit when the default branch moved during generation', async () => {
+  const { dir, repo, run } = await setup('direct-moved');
+
+  // Someone pushes to main while Cartographer runs
+  const other = path.join(dir, 'other');
+  git(dir, ['clone', '-q', repo.origin, other]);
+  const generate = async (options) => {
+    fs.writeFileSync(path.join(other, 'src/index.js'), 'module.exports = 9;\n');
+    git(other, ['commit', '-q', '-am', 'concurrent change']);
+    git(other, ['push', '-q', 'origin', 'main']);
+    await writeMap(options);
+  };
+
+  await assert.rejects(run({ deliveryMode: 'direct', generate }), (error) => {
+    assert.ok(error instanceof BranchMovedError);
+    assert.ok(error.retryable);
+    return true;
+  });
+  assert.strictEqual(git(repo.origin, ['log', '-1', '--format=%s', 'main']), 'concurrent change');
+});
+
+test('artifact mode copies the docs out without touching git', async () => {
+  const { dir, repo, github, run } = await setup('artifact');
+  const artifactsDir = path.join(dir, 'artifacts');
+
+  const result = await run({ deliveryMode: 'artifact', artifactsDir });
+  assert.strictEqual(result.outcome, 'artifact_written');
+  assert.ok(result.artifactPath.startsWith(path.join(artifactsDir, 'demo') + path.sep));
+  assert.strictEqual(fs.readFileSync(path.join(result.artifactPath, 'CODEBASE_MAP.md'), 'utf8'), MAP);
+  assert.strictEqual(git(repo.origin, ['rev-parse', 'main']), repo.sha);
+  assert.strictEqual(git(repo.origin, ['branch', '--list']).trim(), '* main');
+  assert.strictEqual(github.received.length, 0);
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+});
+
+test('throws NoChangesError when the generated docs match the source commit', async () => {
+  const { repo, github, run } = await setup('unchanged');
+  fs.mkdirSync(path.join(repo.workspace, 'docs'));
+  fs.writeFileSync(path.join(repo.workspace, 'docs', 'CODEBASE_MAP.md'), MAP);
+  git(repo.workspace, ['add', 'docs']);
+  git(repo.workspace, ['commit', '-q', '-m', 'docs']);
+  git(repo.workspace, ['push', '-q', 'origin', 'main']);
+
+  await assert.rejects(run({ commitSha: git(repo.workspace, ['rev-parse', 'HEAD']) }), (error) => {
+    assert.ok(error instanceof NoChangesError);
+    assert.strictEqual(error.exitCode, 0);
+    return true;
+  });
+  assert.strictEqual(github.received.filter(({ method }) => method !== 'GET').length, 0);
+  assert.strictEqual(git(repo.origin, ['branch', '--list', 'docs/*']), '');
+});
+
+test('opens a draft PR listing the quality gate findings', async () => {
+  const { github, run } = await setup('quality-draft');
+
+  // MAP only has the first of the sections the synthesis prompt asks for
+  const result = await run({ qualityGate: DEFAULT_QUALITY_GATE });
+  assert.strictEqual(result.outcome, 'pr_created');
+  assert.deepStrictEqual(result.qualityFindings.map(finding => finding.message),
+    REQUIRED_SECTIONS.map.slice(1).map(section => `missing section "## ${section}"`));
+
+  const [, create] = github.received;
+  assert.strictEqual(create.body.draft, true);
+  assert.match(create.body.body, /^### ⚠️ Documentation quality gate\n\nThe generated documentation failed 7 check\(s\)/);
+  assert.match(create.body.body, /- `docs\/CODEBASE_MAP.md` \(missing-section\): missing section "## Data Flow"/);
+  assert.match(create.body.body, /This PR was automatically generated/);
+});
+
+test('turns a reused PR into a draft when the quality gate finds problems', async () => {
+  const dir = path.join(tmp, 'quality-reuse');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  git(repo.workspace, ['push', '-q', 'origin', 'main:refs/heads/docs/auto-update-20240101-000000']);
+  const github = await startGitHubMock({
+    openPulls: [{
+      number: 9,
+      node_id: 'PR_node9',
+      draft: false,
+      head: { ref: 'docs/auto-update-20240101-000000', sha: repo.sha, repo: { full_name: 'acme/demo' } }
+    }]
+  });
+  test.after(() => github.close());
+
+  const result = await runDocsPipeline({
+    projectName: 'demo',
+    workspacePath: repo.workspace,
+    github: createGitHubClient({ token: 'test-token', apiUrl: github.url }),
+    repoOwner: 'acme',
+    repoName: 'demo',
+    commitSha: repo.sha,
+    worktreeRoot: dir,
+    generate: writeMap,
+    qualityGate: DEFAULT_QUALITY_GATE,
+    log: () => {}
+  });
+  assert.strictEqual(result.outcome, 'pr_updated');
+  const [, update, draft] = github.received;
+  assert.match(update.body.body, /^### ⚠️ Documentation quality gate/);
+  assert.strictEqual(draft.path, '/graphql');
+  assert.match(draft.body.query, /convertPullRequestToDraft/);
+  assert.deepStrictEqual(draft.body.variables, { id: 'PR_node9' });
+});
+
+test('a blocking quality gate fails the run before anything is committed', async () => {
+  const { repo, github, run } = await setup('quality-block');
+
+  await assert.rejects(run({ qualityGate: { ...DEFAULT_QUALITY_GATE, on_failure: 'block' } }), (error) => {
+    assert.ok(error instanceof QualityGateFailedError);
+    assert.strictEqual(error.exitCode, 2);
+    assert.ok(!error.retryable);
+    assert.strictEqual(error.details.findings.length, 7);
+    return true;
+  });
+  assert.strictEqual(github.received.filter(({ method }) => method !== 'GET').length, 0);
+  assert.strictEqual(git(repo.origin, ['branch', '--list', 'docs/*']), '');
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+});
+
+test('throws WorkspaceNotFoundError before touching git', async () => {
+  await assert.rejects(
+    runDocsPipeline({ projectName: 'demo', workspacePath: path.join(tmp, 'nope'), log: () => {} }),
+    (error) => error instanceof WorkspaceNotFoundError && error.exitCode === 2 && !error.retryable
+  );
+});
+
+test('throws PushRejectedError when the remote refuses the branch', async () => {
+  const { repo, github, run } = await setup('rejected');
+  const hook = path.join(repo.origin, 'hooks', 'pre-receive');
+  fs.writeFileSync(hook, '#!/bin/sh\necho "branch protection" >&2\nexit 1\n', { mode: 0o755 });
+
+  await assert.rejects(run(), (error) => {
+    assert.ok(error instanceof PushRejectedError);
+    assert.match(error.message, /branch protection/);
+    assert.ok(error.retryable);
+    return true;
+  });
+  assert.strictEqual(github.received.filter(({ method }) => method !== 'GET').length, 0);
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+});
+
+test('throws a non-retryable PRCreateFailedError on a 422 from GitHub', async () => {
+  const { run } = await setup('pr-failed', { prStatus: 422 });
+
+  await assert.rejects(run(), (error) => {
+    assert.ok(error instanceof PRCreateFailedError);
+    assert.match(error.message, /A pull request already exists/);
+    assert.strictEqual(error.details.status, 422);
+    assert.strictEqual(error.exitCode, 2);
+    assert.strictEqual(error.toJSON().code, 'PR_CREATE_FAILED');
+    return true;
+  });
+});
+
+test('parses owner and repo from GitHub remotes', () => {
+  assert.deepStrictEqual(parseGitHubRemote('git@github.com:acme/demo.git'), { owner: 'acme', repo: 'demo' });
+  assert.deepStrictEqual(parseGitHubRemote('https://github.com/acme/demo\n'), { owner: 'acme', repo: 'demo' });
+  assert.strictEqual(parseGitHubRemote('/srv/git/demo.git'), null);
+});
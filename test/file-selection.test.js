@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_BUDGET,
+  resolveBudget,
+  countTokens,
+  skipReason,
+  selectFiles,
+  truncateToTokens,
+  groupFiles,
+  budgetExceeded,
+  formatSkipped
+} = require('../lib/file-selection');
+
+test('counts tokens by words, symbols and whitespace rather than characters', () => {
+  assert.strictEqual(countTokens(''), 0);
+  assert.strictEqual(countTokens('hello world foo()'), 5);
+  assert.strictEqual(countTokens('createPathFilter'), 3);
+  // Punctuation-heavy code costs more per character than prose
+  const code = '{"a":[1,2,3],"b":{"c":null}}';
+  const prose = 'the quick brown fox jumps over';
+  assert.ok(countTokens(code) / code.length > countTokens(prose) / prose.length);
+});
+
+test('skips lockfiles, generated code, binaries, fixtures and large data files', () => {
+  const big = 'x'.repeat(DEFAULT_BUDGET.max_data_file_bytes + 1);
+  assert.strictEqual(skipReason('package-lock.json', '{}'), 'lockfile');
+  assert.strictEqual(skipReason('web/go.sum', ''), 'lockfile');
+  assert.strictEqual(skipReason('dist/app.min.js', ''), 'generated');
+  assert.strictEqual(skipReason('api/user_pb2.py', ''), 'generated');
+  assert.strictEqual(skipReason('src/schema.ts', '// @generated by codegen\nexport {}'), 'generated');
+  assert.strictEqual(skipReason('logo.png', 'PNG\u0000\u0001'), 'binary');
+  assert.strictEqual(skipReason('test/fixtures/payload.json', '{}'), 'test fixture');
+  assert.strictEqual(skipReason('data/cities.json', big), 'large data file');
+  assert.strictEqual(skipReason('docs/guide.md', big), 'large document');
+
+  assert.strictEqual(skipReason('src/big.js', big), null);
+  assert.strictEqual(skipReason('package.json', '{"name": "demo"}'), null);
+  assert.strictEqual(skipReason('README.md', '# demo'), null);
+});
+
+test('keeps code over data and docs when max_files is reached, and flags oversized files', () => {
+  const budget = resolveBudget({ budget: { max_files: 2, max_file_tokens: 100 } }, { budget: { max_files: 3 } });
+  assert.strictEqual(budget.max_files, 3);
+  assert.strictEqual(budget.on_exceeded, 'degrade');
+
+  const { selected, skipped } = selectFiles([
+    { path: 'README.md', content: '# demo' },
+    { path: 'config/app.json', content: '{}' },
+    { path: 'src/deep/a.js', content: 'a();' },
+    { path: 'src/b.js', content: 'word '.repeat(200) },
+    { path: 'index.js', content: 'b();' },
+    { path: 'yarn.lock', content: '' }
+  ], budget);
+
+  assert.deepStrictEqual(selected.map(file => file.path), ['src/deep/a.js', 'src/b.js', 'index.js']);
+  assert.deepStrictEqual(selected.find(file => file.path === 'src/b.js'), { path: 'src/b.js', tokens: 100, truncated: true });
+  assert.deepStrictEqual(skipped, [
+    { path: 'yarn.lock', reason: 'lockfile' },
+    { path: 'README.md', reason: 'over max_files (3)' },
+    { path: 'config/app.json', reason: 'over max_files (3)' }
+  ]);
+  assert.strictEqual(formatSkipped(skipped, 1), [
+    '  lockfile: 1',
+    '    - yarn.lock',
+    '  over max_files (3): 2',
+    '    - README.md',
+    '    - …and 1 more'
+  ].join('\n'));
+});
+
+test('truncates at a line boundary with an explicit marker', () => {
+  const content = ['one', 'two', 'three', 'four'].join('\n');
+  assert.deepStrictEqual(truncateToTokens(content, 100), { content, truncated: false });
+  assert.deepStrictEqual(truncateToTokens(content, 4), {
+    content: 'one\ntwo\n… [truncated: showing lines 1-2 of 4]',
+    truncated: true
+  });
+});
+
+test('groups files by directory and splits only directories too big for one group', () => {
+  const file = (path, tokens) => ({ path, tokens });
+  const groups = groupFiles([
+    file('src/api/routes.js', 30),
+    file('lib/store.js', 20),
+    file('src/api/auth.js', 30),
+    file('lib/queue.js', 20),
+    file('src/ui/app.js', 50),
+    file('src/ui/view.js', 40),
+    file('index.js', 10)
+  ], 100);
+
+  assert.deepStrictEqual(groups.map(group => group.map(f => f.path)), [
+    ['index.js', 'lib/queue.js', 'lib/store.js'],
+    ['src/api/auth.js', 'src/api/routes.js'],
+    ['src/ui/app.js', 'src/ui/view.js']
+  ]);
+
+  const split = groupFiles([file('big/a.js', 60), file('big/b.js', 60), file('big/c.js', 60)], 100);
+  assert.deepStrictEqual(split.map(group => group.map(f => f.path)), [['big/a.js'], ['big/b.js'], ['big/c.js']]);
+});
+
+test('reports the token or cost limit the next call would break', () => {
+  const usage = { input_tokens: 800, output_tokens: 100 };
+  const cost = ({ input_tokens, output_tokens }) => (input_tokens + output_tokens) / 1000;
+
+  assert.strictEqual(budgetExceeded(DEFAULT_BUDGET, usage, { input: 1e6, output: 1e6 }, cost), null);
+  assert.strictEqual(
+    budgetExceeded({ ...DEFAULT_BUDGET, max_tokens_per_run: 1000 }, usage, { input: 50, output: 100 }, cost),
+    'token budget (1000 tokens per run)'
+  );
+  assert.strictEqual(budgetExceeded({ ...DEFAULT_BUDGET, max_cost_usd: 1 }, usage, { input: 50, output: 50 }, cost), null);
+  assert.strictEqual(
+    budgetExceeded({ ...DEFAULT_BUDGET, max_cost_usd: 1 }, usage, { input: 50, output: 51 }, cost),
+    'cost budget ($1 per run)'
+  );
+  // Unknown pricing never trips the cost limit
+  assert.strictEqual(budgetExceeded({ ...DEFAULT_BUDGET, max_cost_usd: 0 }, usage, { input: 1, output: 1 }, () => null), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyEvent } = require('../lib/github-events');
+const { projectEntry } = require('./helpers');
+
+const project = projectEntry('demo');
+
+test('push to the default branch generates docs for the pushed commit', () => {
+  assert.deepStrictEqual(
+    classifyEvent('push', { ref: 'refs/heads/main', after: 'abc123' }, project),
+    { action: 'generate', ref: 'refs/heads/main', commit: 'abc123' }
+  );
+});
+
+test('push to another branch or a branch deletion is skipped', () => {
+  assert.strictEqual(classifyEvent('push', { ref: 'refs/heads/feature', after: 'abc' }, project).action, 'skip');
+  assert.strictEqual(classifyEvent('push', { ref: 'refs/heads/main', deleted: true }, project).action, 'skip');
+});
+
+test('only merged pull requests into the default branch restart the service', () => {
+  const pr = (overrides) => ({
+    action: 'closed',
+    pull_request: { number: 7, merged: true, merge_commit_sha: 'def456', base: { ref: 'main' }, ...overrides }
+  });
+
+  assert.deepStrictEqual(classifyEvent('pull_request', pr(), project), {
+    action: 'restart',
+    commit: 'def456',
+    pullRequest: 7
+  });
+  assert.strictEqual(classifyEvent('pull_request', pr({ merged: false }), project).action, 'skip');
+  assert.strictEqual(classifyEvent('pull_request', pr({ base: { ref: 'develop' } }), project).action, 'skip');
+  assert.strictEqual(classifyEvent('pull_request', { ...pr(), action: 'opened' }, project).action, 'skip');
+});
+
+test('manual dispatch events generate docs', () => {
+  assert.deepStrictEqual(
+    classifyEvent('workflow_dispatch', { ref: 'refs/heads/main', inputs: { sha: 'abc' } }, project),
+    { action: 'generate', ref: 'refs/heads/main', commit: 'abc' }
+  );
+  assert.deepStrictEqual(
+    classifyEvent('repository_dispatch', { action: 'generate-docs', client_payload: {} }, project),
+    { action: 'generate', ref: 'refs/heads/main', commit: null }
+  );
+});
+
+test('unhandled events are ignored', () => {
+  assert.strictEqual(classifyEvent('issues', {}, project).action, 'skip');
+});
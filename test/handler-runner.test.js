@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { runHandler, stopTree } = require('../lib/handler-runner');
+const { makeTempDir } = require('./helpers');
+
+const tmp = makeTempDir('runner');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function groupAlive(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('stopTree waits for the whole handler tree, escalating to SIGKILL', async () => {
+  // A handler that ignores SIGTERM and leaves a grandchild behind
+  const script = path.join(tmp, 'stubborn.sh');
+  fs.writeFileSync(script, "trap '' TERM\nsleep 30 &\necho started\nwait\n");
+
+  let child;
+  let started;
+  const ready = new Promise(resolve => { started = resolve; });
+  const finished = runHandler(script, [], {
+    env: process.env,
+    onSpawn: (spawned) => { child = spawned; },
+    onOutput: () => started()
+  });
+  await ready;
+
+  const stoppedAt = Date.now();
+  await stopTree(child, { graceMs: 200, pollMs: 20 });
+  assert.ok(Date.now() - stoppedAt >= 200);
+  assert.strictEqual(groupAlive(child.pid), false);
+  assert.strictEqual((await finished).signal, 'SIGKILL');
+});
@@ -0,0 +1,459 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const {
+  HUB_ROOT,
+  makeTempDir,
+  gitEnv,
+  git,
+  createRepo,
+  startGitHubMock
+} = require('./helpers');
+
+const tmp = makeTempDir('handlers');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Run a handler offline with the mock LLM provider; async so an in-process
+// GitHub mock can answer it. `interrupt` sends SIGINT once the output matches it
+function runHandler(name, args, { dir, env = {}, interrupt = null }) {
+  return new Promise((resolve) => {
+    const child = spawn('bash', [path.join(HUB_ROOT, 'handlers', name), ...args], {
+      env: gitEnv({
+        PATH: `${path.join(dir, 'bin')}:${process.env.PATH}`,
+        LLM_PROVIDER: 'mock',
+        WORKTREE_ROOT: dir,
+        ...env
+      }),
+      timeout: 60000
+    });
+    let output = '';
+    const onData = (data) => {
+      output += data;
+      if (interrupt && interrupt.test(output)) {
+        interrupt = null;
+        child.kill('SIGINT');
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('close', (status) => resolve({ status, output }));
+  });
+}
+
+test('generate-docs.sh commits docs on a branch, opens a PR and leaves the workspace alone', async () => {
+  const dir = path.join(tmp, 'generate');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  const github = await startGitHubMock();
+
+  // Uncommitted work in the shared workspace must survive the run
+  fs.writeFileSync(path.join(repo.workspace, 'src/index.js'), 'module.exports = 2;\n');
+
+  const usageFile = path.join(dir, 'usage.json');
+  const resultFile = path.join(dir, 'result.json');
+  let result;
+  try {
+    result = await runHandler('generate-docs.sh', ['demo'], {
+      dir,
+      env: {
+        WORKSPACE_PATH: repo.workspace,
+        COMMIT_SHA: repo.sha,
+        REPO_OWNER: 'acme',
+        REPO_NAME: 'demo',
+        GITHUB_TOKEN: 'test-token',
+        GITHUB_API_URL: github.url,
+        LLM_USAGE_FILE: usageFile,
+        PIPELINE_RESULT_FILE: resultFile
+      }
+    });
+  } finally {
+    github.close();
+  }
+  assert.strictEqual(result.status, 0, result.output);
+
+  const usage = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+  assert.strictEqual(usage.provider, 'mock');
+  assert.strictEqual(usage.calls, 2);
+  assert.ok(usage.input_tokens > 0 && usage.output_tokens > 0);
+  assert.strictEqual(usage.estimated_cost_usd, 0);
+
+  const branches = git(repo.origin, ['branch', '--list', 'docs/*']).split('\n').map(b => b.trim()).filter(Boolean);
+  assert.strictEqual(branches.length, 1);
+  const map = git(repo.origin, ['show', `${branches[0]}:docs/CODEBASE_MAP.md`]);
+  assert.match(map, /## System Overview/);
+  assert.strictEqual(git(repo.origin, ['rev-parse', `${branches[0]}~1`]), repo.sha);
+
+  const [list, create, label] = github.received;
+  assert.strictEqual(list.path, '/repos/acme/demo/pulls?state=open&base=main&per_page=100');
+  assert.strictEqual(create.path, '/repos/acme/demo/pulls');
+  assert.strictEqual(create.headers.authorization, 'Bearer test-token');
+  assert.deepStrictEqual({ head: create.body.head, base: create.body.base }, { head: branches[0], base: 'main' });
+  assert.match(create.body.body, new RegExp(`Source commit:\\*\\* \`${repo.sha}\``));
+  assert.deepStrictEqual(label.body, { labels: ['documentation', 'automated'] });
+
+  const pipeline = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  assert.strictEqual(pipeline.outcome, 'pr_created');
+  assert.strictEqual(pipeline.branch, branches[0]);
+  assert.deepStrictEqual(pipeline.pullRequest, { number: 42, url: 'https://github.com/acme/demo/pull/42' });
+
+  assert.strictEqual(git(repo.workspace, ['rev-parse', '--abbrev-ref', 'HEAD']), 'main');
+  assert.strictEqual(git(repo.workspace, ['status', '--porcelain']), 'M src/index.js');
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+  assert.strictEqual(git(repo.workspace, ['branch', '--list', 'docs/*']), '');
+});
+
+test('generate-docs.sh removes its worktree and branch when stopped with SIGINT', async () => {
+  const dir = path.join(tmp, 'interrupted');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  const fixtures = path.join(dir, 'fixtures');
+  fs.mkdirSync(fixtures);
+  fs.writeFileSync(path.join(fixtures, 'analysis.error'), '503');
+  const github = await startGitHubMock();
+
+  let result;
+  try {
+    result = await runHandler('generate-docs.sh', ['demo'], {
+      dir,
+      // Interrupted while waiting to retry the analysis, as `pm2 stop` would
+      interrupt: /retry 1\/5/,
+      env: {
+        WORKSPACE_PATH: repo.workspace,
+        COMMIT_SHA: repo.sha,
+        REPO_OWNER: 'acme',
+        REPO_NAME: 'demo',
+        GITHUB_TOKEN: 'test-token',
+        GITHUB_API_URL: github.url,
+        LLM_FIXTURES_DIR: fixtures,
+        LLM_CONFIG: JSON.stringify({ max_retries: 5, retry_initial_delay_ms: 30000 })
+      }
+    });
+  } finally {
+    github.close();
+  }
+  assert.strictEqual(result.status, 130, result.output);
+  assert.strictEqual(git(repo.workspace, ['worktree', 'list']).split('\n').length, 1);
+  assert.strictEqual(git(repo.workspace, ['branch', '--list', 'docs/*']), '');
+});
+
+test('generate-docs.sh writes module pages, a route reference and diagrams under docs_path', async () => {
+  const dir = path.join(tmp, 'documents');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir, {
+    'server.js': "const app = require('express')();\napp.get('/health', (req, res) => res.send('ok'));\n",
+    'lib/store.js': 'module.exports = {};\n',
+    'handlers/run.js': "router.post('/run', run);\n",
+    'README.md': '# demo\n'
+  });
+  const artifactsDir = path.join(dir, 'artifacts');
+  const resultFile = path.join(dir, 'result.json');
+
+  const result = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: {
+      WORKSPACE_PATH: repo.workspace,
+      COMMIT_SHA: repo.sha,
+      DELIVERY_MODE: 'artifact',
+      ARTIFACTS_DIR: artifactsDir,
+      DOCS_PATH: 'documentation',
+      DOC_OUTPUTS: JSON.stringify(['directories', 'routes', 'diagrams']),
+      PIPELINE_RESULT_FILE: resultFile
+    }
+  });
+  assert.strictEqual(result.status, 0, result.output);
+
+  const { outcome, artifactPath } = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  assert.strictEqual(outcome, 'artifact_written');
+  const read = (file) => fs.readFileSync(path.join(artifactPath, file), 'utf8');
+
+  const map = read('CODEBASE_MAP.md');
+  assert.match(map, /## Related Documents/);
+  assert.match(map, /\[Architecture diagrams\]\(ARCHITECTURE\.md\)/);
+  assert.match(map, /\[HTTP route reference\]\(API_ROUTES\.md\)/);
+  assert.match(map, /\[handlers\/\]\(modules\/handlers\.md\)/);
+  assert.match(map, /\[lib\/\]\(modules\/lib\.md\)/);
+
+  assert.deepStrictEqual(fs.readdirSync(path.join(artifactPath, 'modules')), ['handlers.md', 'lib.md']);
+  assert.match(read('modules/lib.md'), /^# lib\/\n/);
+  assert.match(read('modules/lib.md'), /\[Back to the codebase map\]\(\.\.\/CODEBASE_MAP\.md\)/);
+
+  const routes = read('API_ROUTES.md');
+  assert.match(routes, /\| GET \| `\/health` \| \[`server\.js:2`\]\(\.\.\/server\.js#L2\) \|/);
+  assert.match(routes, /\| POST \| `\/run` \| \[`handlers\/run\.js:1`\]/);
+
+  const diagrams = read('ARCHITECTURE.md');
+  assert.match(diagrams, /## Component Diagram/);
+  assert.match(diagrams, /## Data Flow/);
+
+  // Nothing was pushed anywhere
+  assert.strictEqual(git(repo.origin, ['log', '--oneline', 'main']).split('\n').length, 1);
+});
+
+test('generate-docs.sh reports skipped and truncated files, and stops at an aborting budget', async () => {
+  const dir = path.join(tmp, 'budget');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir, {
+    'src/index.js': 'module.exports = 1;\n',
+    'src/long.js': 'const value = 1;\n'.repeat(200),
+    'package-lock.json': '{"lockfileVersion": 3}\n',
+    'web/app.min.js': 'var a=1;\n'
+  });
+  const env = {
+    WORKSPACE_PATH: repo.workspace,
+    COMMIT_SHA: repo.sha,
+    DELIVERY_MODE: 'artifact',
+    ARTIFACTS_DIR: path.join(dir, 'artifacts'),
+    PIPELINE_RESULT_FILE: path.join(dir, 'result.json')
+  };
+
+  const degraded = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: { ...env, CARTOGRAPHER_BUDGET: JSON.stringify({ max_file_tokens: 100 }) }
+  });
+  assert.strictEqual(degraded.status, 0, degraded.output);
+  assert.match(degraded.output, /Skipped: 2\n\s+lockfile: 1\n\s+- package-lock\.json\n\s+generated: 1\n\s+- web\/app\.min\.js/);
+  assert.match(degraded.output, /Truncated: 1\n\s+truncated to 100 tokens: 1\n\s+- src\/long\.js/);
+
+  const aborted = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: { ...env, CARTOGRAPHER_BUDGET: JSON.stringify({ max_tokens_per_run: 1000, on_exceeded: 'abort' }) }
+  });
+  assert.strictEqual(aborted.status, 2, aborted.output);
+  assert.match(aborted.output, /Budget exceeded: Analysis of group 1 would exceed the token budget \(1000 tokens per run\)/);
+  const { outcome, error } = JSON.parse(fs.readFileSync(env.PIPELINE_RESULT_FILE, 'utf8'));
+  assert.strictEqual(outcome, 'failed');
+  assert.strictEqual(error.code, 'BUDGET_EXCEEDED');
+  assert.strictEqual(error.retryable, false);
+});
+
+test('generate-docs.sh keeps budget for hierarchical synthesis when degrading', async () => {
+  const dir = path.join(tmp, 'degrade');
+  fs.mkdirSync(dir);
+  const files = {};
+  for (let i = 0; i < 40; i++) files[`d${String(i).padStart(2, '0')}/index.js`] = `module.exports = ${i};\n`.repeat(3);
+  const repo = createRepo(dir, files);
+
+  const result = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: {
+      WORKSPACE_PATH: repo.workspace,
+      COMMIT_SHA: repo.sha,
+      DELIVERY_MODE: 'artifact',
+      ARTIFACTS_DIR: path.join(dir, 'artifacts'),
+      PIPELINE_RESULT_FILE: path.join(dir, 'result.json'),
+      // One group per directory, too many analyses for one synthesis prompt
+      CARTOGRAPHER_BUDGET: JSON.stringify({ max_group_tokens: 8, max_tokens_per_run: 6000, on_exceeded: 'degrade' }),
+      LLM_CONFIG: JSON.stringify({ max_tokens: 200, synthesis_max_tokens: 1000, synthesis_input_tokens: 300 })
+    }
+  });
+  assert.strictEqual(result.status, 0, result.output);
+  assert.match(result.output, /Groups: 40 \(\d+ analyzed, 0 reused, 0 failed, [1-9]\d* over budget\)/);
+  assert.match(result.output, /Synthesis: [1-9]\d* overview merges, then the map/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'result.json'), 'utf8')).outcome, 'artifact_written');
+});
+
+test('generate-docs.sh analyzes groups in parallel and fails when too many groups fail', async () => {
+  const dir = path.join(tmp, 'parallel');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir, {
+    'api/routes.js': 'module.exports = [];\n',
+    'lib/store.js': 'module.exports = {};\n',
+    'web/app.js': 'module.exports = null;\n'
+  });
+  const fixtures = path.join(dir, 'fixtures');
+  fs.mkdirSync(fixtures);
+  const env = {
+    WORKSPACE_PATH: repo.workspace,
+    COMMIT_SHA: repo.sha,
+    DELIVERY_MODE: 'artifact',
+    ARTIFACTS_DIR: path.join(dir, 'artifacts'),
+    PIPELINE_RESULT_FILE: path.join(dir, 'result.json'),
+    LLM_FIXTURES_DIR: fixtures,
+    // One group per directory, two in flight
+    CARTOGRAPHER_BUDGET: JSON.stringify({ max_group_tokens: 8 }),
+    LLM_CONFIG: JSON.stringify({ concurrency: 2, max_retries: 1, retry_initial_delay_ms: 1 })
+  };
+
+  const result = await runHandler('generate-docs.sh', ['demo'], { dir, env });
+  assert.strictEqual(result.status, 0, result.output);
+  assert.match(result.output, /Groups: 3 \(3 analyzed, 0 reused, 0 failed, 0 over budget\)/);
+
+  fs.writeFileSync(path.join(fixtures, 'analysis.error'), '503');
+  const failed = await runHandler('generate-docs.sh', ['demo'], { dir, env });
+  assert.strictEqual(failed.status, 1, failed.output);
+  assert.match(failed.output, /analysis call failed \(503\), retry 1\/1/);
+  assert.match(failed.output, /3 of 3 groups failed analysis \(limit 25%\)/);
+  assert.doesNotMatch(failed.output, /Synthesizing/);
+  const { error } = JSON.parse(fs.readFileSync(env.PIPELINE_RESULT_FILE, 'utf8'));
+  assert.strictEqual(error.code, 'GENERATION_FAILED');
+});
+
+test('generate-docs.sh re-analyzes only the groups whose files changed since the last map', async () => {
+  const dir = path.join(tmp, 'incremental');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir, {
+    'api/routes.js': 'module.exports = [];\n',
+    'lib/store.js': 'module.exports = {};\n',
+    'web/app.js': 'module.exports = null;\n'
+  });
+  const fixtures = path.join(dir, 'fixtures');
+  fs.mkdirSync(fixtures);
+  const env = {
+    WORKSPACE_PATH: repo.workspace,
+    DELIVERY_MODE: 'direct',
+    LLM_FIXTURES_DIR: fixtures,
+    // One group per directory
+    CARTOGRAPHER_BUDGET: JSON.stringify({ max_group_tokens: 8 })
+  };
+  const stateOnMain = () => JSON.parse(git(repo.origin, ['show', 'main:docs/.codebase-map-state.json']));
+  const analysesByFile = ({ groups }) => Object.fromEntries(groups.map(group => [group.files.join(','), group.analysis]));
+
+  const first = await runHandler('generate-docs.sh', ['demo'], { dir, env: { ...env, COMMIT_SHA: repo.sha } });
+  assert.strictEqual(first.status, 0, first.output);
+  assert.match(first.output, /Groups: 3 \(3 analyzed, 0 reused, 0 failed, 0 over budget\)/);
+  const before = analysesByFile(stateOnMain());
+
+  // Change one file on top of the docs commit; new analyses come from the fixture
+  git(repo.workspace, ['pull', '-q', 'origin', 'main']);
+  fs.writeFileSync(path.join(repo.workspace, 'lib/store.js'), 'module.exports = { items: [] };\n');
+  git(repo.workspace, ['commit', '-q', '-am', 'change the store']);
+  git(repo.workspace, ['push', '-q', 'origin', 'main']);
+  fs.writeFileSync(path.join(fixtures, 'analysis.md'), '**Purpose**: Re-analyzed store.');
+
+  const second = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: { ...env, COMMIT_SHA: git(repo.workspace, ['rev-parse', 'HEAD']) }
+  });
+  assert.strictEqual(second.status, 0, second.output);
+  assert.match(second.output, /Incremental run since [0-9a-f]{7}/);
+  assert.match(second.output, /Groups: 3 \(1 analyzed, 2 reused, 0 failed, 0 over budget\)/);
+
+  const after = analysesByFile(stateOnMain());
+  assert.strictEqual(after['lib/store.js'], '**Purpose**: Re-analyzed store.');
+  assert.strictEqual(after['api/routes.js'], before['api/routes.js']);
+  assert.strictEqual(after['web/app.js'], before['web/app.js']);
+  assert.match(after['api/routes.js'], /Mock analysis/);
+});
+
+test('generate-docs.sh merges analyses per directory and subsystem when they do not fit one prompt', async () => {
+  const dir = path.join(tmp, 'reduce');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir, {
+    'src/api/users.js': 'module.exports = 1;\n',
+    'src/api/orders.js': 'module.exports = 2;\n',
+    'src/ui/app.js': 'module.exports = 3;\n',
+    'lib/store.js': 'module.exports = 4;\n'
+  });
+  const resultFile = path.join(dir, 'result.json');
+
+  const result = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: {
+      WORKSPACE_PATH: repo.workspace,
+      COMMIT_SHA: repo.sha,
+      DELIVERY_MODE: 'artifact',
+      ARTIFACTS_DIR: path.join(dir, 'artifacts'),
+      PIPELINE_RESULT_FILE: resultFile,
+      // One group per file, and no room for more than one analysis per prompt
+      CARTOGRAPHER_BUDGET: JSON.stringify({ max_group_tokens: 8 }),
+      LLM_CONFIG: JSON.stringify({ synthesis_input_tokens: 1 })
+    }
+  });
+  assert.strictEqual(result.status, 0, result.output);
+  assert.match(result.output, /Merging 2 analyses of directory src\/api\//);
+  assert.match(result.output, /Merging 2 analyses of subsystem src\//);
+  assert.match(result.output, /Synthesis: 1 directory merges, 1 subsystem merges, 1 overview merges, then the map/);
+
+  const { artifactPath } = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  assert.match(fs.readFileSync(path.join(artifactPath, 'CODEBASE_MAP.md'), 'utf8'), /## System Overview/);
+});
+
+test('generate-docs.sh blocks a truncated map that mentions files the repository lacks', async () => {
+  const dir = path.join(tmp, 'quality');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+  const fixtures = path.join(dir, 'fixtures');
+  fs.mkdirSync(fixtures);
+  fs.writeFileSync(path.join(fixtures, 'synthesis.md'), '# demo - Codebase Map\n\n## System Overview\n\nStarts in `src/main.js`.\n\n```js\nrequire(');
+  const resultFile = path.join(dir, 'result.json');
+
+  const result = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: {
+      WORKSPACE_PATH: repo.workspace,
+      COMMIT_SHA: repo.sha,
+      DELIVERY_MODE: 'artifact',
+      ARTIFACTS_DIR: path.join(dir, 'artifacts'),
+      PIPELINE_RESULT_FILE: resultFile,
+      LLM_FIXTURES_DIR: fixtures,
+      QUALITY_GATE: JSON.stringify({ on_failure: 'block' })
+    }
+  });
+  assert.strictEqual(result.status, 2, result.output);
+  assert.match(result.output, /Quality gate found 9 problem\(s\)/);
+  assert.match(result.output, /\(missing-path\): `src\/main.js` does not exist in the repository/);
+  assert.match(result.output, /\(unclosed-fence\): code block opened on line 7 is never closed/);
+  const { error } = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  assert.strictEqual(error.code, 'QUALITY_GATE_FAILED');
+  assert.ok(!fs.existsSync(path.join(dir, 'artifacts')));
+});
+
+test('generate-docs.sh reports a missing workspace as a configuration error', async () => {
+  const dir = path.join(tmp, 'missing');
+  fs.mkdirSync(dir);
+  const resultFile = path.join(dir, 'result.json');
+
+  const result = await runHandler('generate-docs.sh', ['demo'], {
+    dir,
+    env: { WORKSPACE_PATH: path.join(dir, 'nope'), GITHUB_TOKEN: 'test-token', PIPELINE_RESULT_FILE: resultFile }
+  });
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /Workspace path not found/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(resultFile, 'utf8')).error.code, 'WORKSPACE_NOT_FOUND');
+});
+
+test('generate-docs.sh requires a GitHub token', async () => {
+  const dir = path.join(tmp, 'no-token');
+  fs.mkdirSync(dir);
+
+  const result = await runHandler('generate-docs.sh', ['demo'], { dir, env: { WORKSPACE_PATH: dir } });
+  assert.strictEqual(result.status, 2);
+  assert.match(result.output, /GITHUB_TOKEN must be set/);
+});
+
+test('restart-service.sh pulls the default branch and runs a custom restart command', async () => {
+  const dir = path.join(tmp, 'restart');
+  fs.mkdirSync(dir);
+  const repo = createRepo(dir);
+
+  const result = await runHandler('restart-service.sh', ['demo'], {
+    dir,
+    env: {
+      WORKSPACE_PATH: repo.workspace,
+      SERVICE_TYPE: 'custom',
+      RESTART_COMMAND: 'echo restarted-demo'
+    }
+  });
+  assert.strictEqual(result.status, 0, result.output);
+  assert.match(result.output, /restarted-demo/);
+});
+
+test('restart-service.sh exits 3 when the service is not online after a restart', async () => {
+  const dir = path.join(tmp, 'restart-offline');
+  fs.mkdirSync(path.join(dir, 'bin'), { recursive: true });
+  const repo = createRepo(dir);
+
+  // pm2 stub that always lists the service as stopped
+  const pm2 = path.join(dir, 'bin', 'pm2');
+  fs.writeFileSync(pm2, '#!/bin/bash\nif [ "$1" = "list" ]; then echo "demo | stopped"; fi\n');
+  fs.chmodSync(pm2, 0o755);
+
+  const result = await runHandler('restart-service.sh', ['demo'], {
+    dir,
+    env: { WORKSPACE_PATH: repo.workspace, SERVICE_TYPE: 'pm2' }
+  });
+  assert.strictEqual(result.status, 3, result.output);
+  assert.match(result.output, /not online after restart/);
+});
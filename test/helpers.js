@@ -0,0 +1,260 @@
+/**
+ * Shared fixtures for the test suite: temp dirs, signed webhooks, a registry
+ * file, fake handlers and throwaway git repositories with a bare origin.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+const HUB_ROOT = path.join(__dirname, '..');
+const WEBHOOK_SECRET = 'test-secret';
+const ADMIN_API_TOKEN = 'test-admin-token';
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `doc-hub-${prefix}-`));
+}
+
+function sign(body, secret = WEBHOOK_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function projectEntry(name, overrides = {}) {
+  return {
+    enabled: true,
+    repo_owner: 'acme',
+    repo_name: name,
+    default_branch: 'main',
+    workspace_path: `/nonexistent/${name}`,
+    service_type: 'custom',
+    service_name: name,
+    restart_command: `echo restarted ${name}`,
+    docs_path: 'docs',
+    codebase_map_file: 'docs/CODEBASE_MAP.md',
+    watch_paths: [],
+    ignore_paths: [],
+    ...overrides
+  };
+}
+
+function writeRegistry(dir, projects, settings = {}) {
+  const registryPath = path.join(dir, 'project-registry.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    projects,
+    settings: {
+      max_concurrent_jobs: 2,
+      pr_branch_prefix: 'docs/auto-update-',
+      log_retention_days: 7,
+      retry_policy: { max_attempts: 1 },
+      ...settings
+    }
+  }, null, 2));
+  return registryPath;
+}
+
+// A handlers dir whose generate-docs.sh just sleeps and reports a PR (or fails for
+// a project named "broken", and after the sleep for one named "flaky"), and whose
+// restart-service.sh only echoes
+function writeFakeHandlers(dir, { sleepSeconds = 1 } = {}) {
+  const handlersDir = path.join(dir, 'handlers');
+  fs.mkdirSync(handlersDir, { recursive: true });
+  fs.writeFileSync(path.join(handlersDir, 'generate-docs.sh'), [
+    '#!/bin/bash',
+    'if [ "$1" = "broken" ]; then echo "Cartographer exploded" >&2; exit 1; fi',
+    `sleep ${sleepSeconds}`,
+    'if [ "$1" = "flaky" ]; then echo "Cartographer exploded late" >&2; exit 1; fi',
+    'echo "Generating docs for $1 at $COMMIT_SHA"',
+    'echo "URL: https://github.com/acme/$1/pull/7"',
+    'if [ -n "$PIPELINE_RESULT_FILE" ]; then',
+    '  echo "{\\"outcome\\":\\"pr_created\\",\\"pullRequest\\":{\\"number\\":7,\\"url\\":\\"https://github.com/acme/$1/pull/7\\"}}" > "$PIPELINE_RESULT_FILE"',
+    'fi'
+  ].join('\n'));
+  fs.writeFileSync(path.join(handlersDir, 'restart-service.sh'), [
+    '#!/bin/bash',
+    'echo "restarted $1 ($SERVICE_TYPE)"'
+  ].join('\n'));
+  return handlersDir;
+}
+
+// Boot server.js in-process against temp fixtures; env must be set before the first require
+async function startHub(env) {
+  Object.assign(process.env, { PORT: '0', WEBHOOK_SECRET, ADMIN_API_TOKEN }, env);
+  fs.mkdirSync(process.env.LOG_DIR, { recursive: true });
+  const hub = require('../server');
+  const server = await hub.start();
+  return { hub, server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function postWebhook(baseUrl, route, payload, { signature, headers = {} } = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': signature || sign(body),
+      ...headers
+    },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function adminRequest(baseUrl, route, payload = {}, { token = ADMIN_API_TOKEN, method = 'POST' } = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: method === 'GET' ? undefined : JSON.stringify(payload)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getJson(baseUrl, route) {
+  const response = await fetch(`${baseUrl}${route}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Opens the Server-Sent Events stream at `route`; resolves once the server is
+// subscribed, to a promise of every [{ event, data }] sent before it ends the stream
+async function openEvents(baseUrl, route) {
+  const response = await fetch(`${baseUrl}${route}`);
+  const events = response.text().then(text => text
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [, event, data] = block.match(/^event: (.*)\ndata: (.*)$/);
+      return { event, data: JSON.parse(data) };
+    }));
+  return { events };
+}
+
+async function waitFor(predicate, { timeout = 10000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await predicate();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// Local HTTP endpoint that records JSON requests, standing in for Slack/Discord/webhook
+// receivers; `respond` picks the status and JSON body per request
+async function startReceiver({ status = 200, respond } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      received.push(request);
+      const reply = respond ? respond(request) : { status };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(reply.body ? JSON.stringify(reply.body) : undefined);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => server.close()
+  };
+}
+
+// Just enough of the GitHub REST API for the docs pipeline: lists `openPulls`,
+// PR creation opens #42 (or answers prStatus), GraphQL draft toggles and
+// everything else succeed
+function startGitHubMock({ prStatus = 201, openPulls = [] } = {}) {
+  return startReceiver({
+    respond: ({ method, path: route, body }) => {
+      if (method === 'GET' && /^\/repos\/[^/]+\/[^/]+\/pulls\?/.test(route)) {
+        return { status: 200, body: openPulls };
+      }
+      if (method === 'POST' && /^\/repos\/[^/]+\/[^/]+\/pulls$/.test(route)) {
+        return prStatus === 201 ?
+          { status: 201, body: { number: 42, html_url: 'https://github.com/acme/demo/pull/42' } } :
+          { status: prStatus, body: { message: 'Validation Failed', errors: [{ message: 'A pull request already exists' }] } };
+      }
+      const pull = route.match(/\/pulls\/(\d+)$/);
+      if (method === 'PATCH' && pull) {
+        return { status: 200, body: { number: Number(pull[1]), html_url: `https://github.com/acme/demo/pull/${pull[1]}`, ...body } };
+      }
+      if (method === 'POST' && /\/issues\/\d+\/(labels|comments)$/.test(route)) {
+        return { status: 200, body: [] };
+      }
+      if (method === 'DELETE' && route.includes('/git/refs/heads/')) {
+        return { status: 204 };
+      }
+      if (method === 'POST' && route === '/graphql') {
+        return { status: 200, body: { data: {} } };
+      }
+      return { status: 404, body: { message: 'Not Found' } };
+    }
+  });
+}
+
+// Git identity and no network-bound credentials for handler runs
+function gitEnv(extra = {}) {
+  const env = { ...process.env };
+  for (const key of Object.keys(env)) {
+    if (/^(ANTHROPIC_|CLAUDE_API_KEY$|GITHUB_TOKEN$|LLM_)/.test(key)) delete env[key];
+  }
+  return {
+    ...env,
+    GIT_AUTHOR_NAME: 'Test Bot',
+    GIT_AUTHOR_EMAIL: 'bot@test.local',
+    GIT_COMMITTER_NAME: 'Test Bot',
+    GIT_COMMITTER_EMAIL: 'bot@test.local',
+    ...extra
+  };
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, env: gitEnv(), encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+// Bare origin plus a workspace clone on `main` with a couple of source files
+function createRepo(dir, files = { 'src/index.js': 'module.exports = 1;\n' }) {
+  const origin = path.join(dir, 'origin.git');
+  const workspace = path.join(dir, 'workspace');
+  git(dir, ['init', '-q', '--bare', '--initial-branch=main', origin]);
+  git(dir, ['clone', '-q', origin, workspace]);
+  git(workspace, ['checkout', '-q', '-B', 'main']);
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, file), content);
+  }
+  git(workspace, ['add', '-A']);
+  git(workspace, ['commit', '-q', '-m', 'initial commit']);
+  git(workspace, ['push', '-q', 'origin', 'main']);
+
+  return { origin, workspace, sha: git(workspace, ['rev-parse', 'HEAD']) };
+}
+
+module.exports = {
+  HUB_ROOT,
+  WEBHOOK_SECRET,
+  ADMIN_API_TOKEN,
+  makeTempDir,
+  sign,
+  projectEntry,
+  writeRegistry,
+  writeFakeHandlers,
+  startHub,
+  postWebhook,
+  adminRequest,
+  getJson,
+  openEvents,
+  waitFor,
+  startReceiver,
+  startGitHubMock,
+  gitEnv,
+  git,
+  createRepo
+};
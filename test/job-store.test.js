@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { createJobStore } = require('../lib/job-store');
+const { makeTempDir } = require('./helpers');
+
+const tmp = makeTempDir('job-store');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function journalPath(name) {
+  return path.join(tmp, name, 'jobs.jsonl');
+}
+
+test('replays the journal and re-queues interrupted jobs', async () => {
+  const file = journalPath('replay');
+  const store = createJobStore(file);
+  await store.load();
+
+  const done = store.create({ project: 'alpha', commit: 'a1' });
+  store.update(done.id, { status: 'running' });
+  store.update(done.id, { status: 'succeeded', finishedAt: new Date().toISOString() });
+  const interrupted = store.create({ project: 'beta', commit: 'b1' });
+  store.update(interrupted.id, { status: 'running', startedAt: new Date().toISOString() });
+  const waiting = store.create({ project: 'gamma', commit: 'c1' });
+  await store.flush();
+
+  // Simulate a crash mid-append
+  fs.appendFileSync(file, '{"id":"trunc');
+
+  const reloaded = createJobStore(file);
+  const result = await reloaded.load();
+
+  assert.strictEqual(result.total, 3);
+  assert.deepStrictEqual(result.interrupted, [interrupted.id]);
+  assert.strictEqual(reloaded.get(done.id).status, 'succeeded');
+  assert.strictEqual(reloaded.get(interrupted.id).status, 'queued');
+  assert.strictEqual(reloaded.get(interrupted.id).interruptions, 1);
+  assert.strictEqual(reloaded.nextQueued().id, interrupted.id);
+  assert.strictEqual(reloaded.get(waiting.id).status, 'queued');
+
+  // Compaction leaves one line per job
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 3);
+});
+
+test('drops finished jobs past the retention window', async () => {
+  const file = journalPath('retention');
+  const store = createJobStore(file);
+  await store.load();
+
+  const old = store.create({ project: 'alpha' });
+  store.update(old.id, { status: 'failed', finishedAt: '2000-01-01T00:00:00.000Z' });
+  const recent = store.create({ project: 'alpha' });
+  store.update(recent.id, { status: 'succeeded', finishedAt: new Date().toISOString() });
+  await store.flush();
+
+  const reloaded = createJobStore(file);
+  await reloaded.load({ retentionDays: 7 });
+  assert.strictEqual(reloaded.get(old.id), null);
+  assert.ok(reloaded.get(recent.id));
+});
+
+test('skips busy projects and retries still backing off', async () => {
+  const store = createJobStore(journalPath('next'));
+  await store.load();
+
+  const backingOff = store.create({
+    project: 'alpha',
+    nextAttemptAt: new Date(Date.now() + 60000).toISOString()
+  });
+  const busy = store.create({ project: 'beta' });
+  const ready = store.create({ project: 'gamma' });
+
+  assert.strictEqual(store.nextQueued({ busyProjects: new Set(['beta']) }).id, ready.id);
+  assert.strictEqual(store.nextQueued().id, busy.id);
+  assert.strictEqual(store.nextRetryAt(), Date.parse(backingOff.nextAttemptAt));
+  assert.throws(() => store.update(ready.id, { status: 'exploded' }), /Invalid job status/);
+});
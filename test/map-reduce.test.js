@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analysisScope, packBatches, mapLimit, reduceAnalyses, estimateReduction } = require('../lib/map-reduce');
+
+const tokensOf = item => item.text.length;
+
+// Merge stub: records every call and returns a fixed-size summary
+function recorder(size = 10) {
+  const calls = [];
+  const merge = async (items, { level, scope }) => {
+    calls.push({ level, scope, inputs: items.map(item => item.scope) });
+    return 'm'.repeat(size);
+  };
+  return { calls, merge };
+}
+
+test('scopes an analysis to the directory its files share', () => {
+  assert.strictEqual(analysisScope(['src/api/a.js', 'src/api/b.js']), 'src/api');
+  assert.strictEqual(analysisScope(['src/api/a.js', 'src/ui/b.js']), 'src');
+  assert.strictEqual(analysisScope(['src/a.js', 'index.js']), '');
+  assert.strictEqual(analysisScope([]), '');
+});
+
+test('packs batches within the limit, at least two items each', () => {
+  const items = [5, 5, 5, 20, 5].map(n => ({ text: 'x'.repeat(n) }));
+  assert.deepStrictEqual(packBatches(items, 12, tokensOf).map(batch => batch.map(tokensOf)), [[5, 5], [5, 20], [5]]);
+});
+
+test('runs at most `limit` calls at once and keeps the order', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapLimit([3, 1, 2, 4], 2, async (n) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, n));
+    active--;
+    return n * 10;
+  });
+  assert.deepStrictEqual(results, [30, 10, 20, 40]);
+  assert.strictEqual(peak, 2);
+});
+
+test('leaves analyses that already fit alone', async () => {
+  const { calls, merge } = recorder();
+  const items = [{ scope: 'a', text: 'x'.repeat(10) }, { scope: 'b', text: 'x'.repeat(10) }];
+  const result = await reduceAnalyses(items, { maxTokens: 20, tokensOf, merge });
+  assert.strictEqual(result.items, items);
+  assert.deepStrictEqual(result.levels, []);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('merges per directory, then per subsystem, then in overview batches until the map fits', async () => {
+  const item = (scope) => ({ scope, text: 'x'.repeat(30) });
+  const items = [
+    item('src/api'), item('src/api'),
+    item('src/ui'), item('src/ui'),
+    item('lib'), item('lib'),
+    item('web'), item('web'),
+    item('')
+  ];
+
+  // Directory merges are enough
+  const byDirectory = recorder(10);
+  let result = await reduceAnalyses(items, { maxTokens: 80, tokensOf, merge: byDirectory.merge });
+  assert.deepStrictEqual(result.levels, [{ level: 'directory', merges: 4 }]);
+  assert.deepStrictEqual(result.items.map(i => i.scope), ['src/api', 'src/ui', 'lib', 'web', '']);
+  assert.ok(byDirectory.calls.every(call => call.level === 'directory' && call.inputs.every(scope => scope === call.scope)));
+
+  // Directory summaries of src/ still too much: merge the subsystem
+  const bySubsystem = recorder(15);
+  result = await reduceAnalyses(items, { maxTokens: 80, tokensOf, merge: bySubsystem.merge });
+  assert.deepStrictEqual(result.levels, [{ level: 'directory', merges: 4 }, { level: 'subsystem', merges: 1 }]);
+  assert.deepStrictEqual(bySubsystem.calls.at(-1), { level: 'subsystem', scope: 'src', inputs: ['src/api', 'src/ui'] });
+  assert.deepStrictEqual(result.items.map(i => i.scope), ['src', 'lib', 'web', '']);
+
+  // Not even the subsystems fit: batch them into an overview
+  const overview = recorder(10);
+  result = await reduceAnalyses(items, { maxTokens: 25, tokensOf, merge: overview.merge, concurrency: 3 });
+  assert.deepStrictEqual(result.levels.map(step => step.level), ['directory', 'subsystem', 'overview']);
+  assert.strictEqual(result.items.reduce((sum, i) => sum + tokensOf(i), 0) <= 25, true);
+  assert.ok(overview.calls.filter(call => call.level === 'overview').every(call => call.inputs.length >= 2));
+});
+
+test('estimates the merges and the final prompt from token counts alone', async () => {
+  const item = (scope) => ({ scope, tokens: 30 });
+  const items = [item('src/api'), item('src/api'), item('src/ui'), item('src/ui'), item('lib'), item('lib'), item('web'), item('web'), item('')];
+
+  // Same steps as reduceAnalyses: four directory merges of two analyses each
+  assert.deepStrictEqual(await estimateReduction(items, { maxTokens: 80, outputTokens: 10, promptTokens: 5 }), {
+    merges: 4,
+    input: 4 * (5 + 60),
+    output: 40,
+    finalTokens: 4 * 10 + 30
+  });
+  assert.deepStrictEqual(await estimateReduction(items.slice(0, 2), { maxTokens: 80, outputTokens: 10 }), {
+    merges: 0,
+    input: 0,
+    output: 0,
+    finalTokens: 60
+  });
+});
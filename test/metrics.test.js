@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+
+test('renders counters, cumulative histograms and gauges in text format', () => {
+  const metrics = createMetrics({ prefix: 'demo_' });
+  const requests = metrics.counter('requests_total', 'Requests', ['route']);
+  const latency = metrics.histogram('latency_seconds', 'Latency', ['route'], [1, 5]);
+  metrics.gauge('up', 'Up', () => [{ labels: {}, value: 1 }]);
+
+  requests.inc({ route: '/a"b', ignored: 'x' });
+  requests.inc({ route: '/a"b' }, 2);
+  latency.observe({ route: '/a' }, 0.5);
+  latency.observe({ route: '/a' }, 3);
+
+  assert.strictEqual(metrics.render(), [
+    '# HELP demo_requests_total Requests',
+    '# TYPE demo_requests_total counter',
+    'demo_requests_total{route="/a\\"b"} 3',
+    '# HELP demo_latency_seconds Latency',
+    '# TYPE demo_latency_seconds histogram',
+    'demo_latency_seconds_bucket{route="/a",le="1"} 1',
+    'demo_latency_seconds_bucket{route="/a",le="5"} 2',
+    'demo_latency_seconds_bucket{route="/a",le="+Inf"} 2',
+    'demo_latency_seconds_sum{route="/a"} 3.5',
+    'demo_latency_seconds_count{route="/a"} 2',
+    '# HELP demo_up Up',
+    '# TYPE demo_up gauge',
+    'demo_up 1',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { notify, resolveChannels } = require('../lib/notifications');
+const { startReceiver } = require('./helpers');
+
+const message = {
+  event: 'pr_created',
+  project: 'demo',
+  title: 'Documentation PR opened for demo',
+  url: 'https://github.com/acme/demo/pull/7',
+  fields: { Commit: 'abc1234', Attempts: null }
+};
+
+test('formats Slack, Discord and generic payloads', async () => {
+  const receiver = await startReceiver();
+  try {
+    const project = {
+      notifications: [
+        { type: 'slack', url: `${receiver.url}/slack` },
+        { type: 'discord', url: `${receiver.url}/discord` },
+        { type: 'webhook', url: `${receiver.url}/generic` }
+      ]
+    };
+    assert.strictEqual(await notify({ settings: {}, project, message }), 3);
+
+    const byPath = Object.fromEntries(receiver.received.map(({ path, body }) => [path, body]));
+    assert.strictEqual(byPath['/slack'].text, '📚 Documentation PR opened for demo');
+    assert.strictEqual(byPath['/slack'].attachments[0].title_link, message.url);
+    assert.deepStrictEqual(byPath['/slack'].attachments[0].fields, [{ title: 'Commit', value: 'abc1234', short: true }]);
+
+    assert.strictEqual(byPath['/discord'].embeds[0].url, message.url);
+    assert.strictEqual(byPath['/discord'].embeds[0].color, 0x2ea44f);
+
+    assert.strictEqual(byPath['/generic'].event, 'pr_created');
+    assert.strictEqual(byPath['/generic'].project, 'demo');
+    assert.deepStrictEqual(byPath['/generic'].fields, { Commit: 'abc1234' });
+  } finally {
+    receiver.close();
+  }
+});
+
+test('filters channels by event, resolves env: URLs and falls back to settings', () => {
+  const settings = { notifications: [{ type: 'webhook', url: 'https://hub.example/all' }] };
+  const project = {
+    notifications: [
+      { type: 'slack', url: 'env:DEMO_SLACK_URL', events: ['job_failed'] },
+      { type: 'discord', url: 'env:DEMO_UNSET_URL' }
+    ]
+  };
+  const env = { DEMO_SLACK_URL: 'https://hooks.slack.example/x' };
+
+  assert.deepStrictEqual(resolveChannels(settings, project, 'job_failed', env).map(c => c.url), [
+    'https://hooks.slack.example/x'
+  ]);
+  assert.deepStrictEqual(resolveChannels(settings, project, 'pr_created', env), []);
+  assert.deepStrictEqual(resolveChannels(settings, {}, 'pr_created', env).map(c => c.url), [
+    'https://hub.example/all'
+  ]);
+});
+
+test('logs failed deliveries instead of throwing', async () => {
+  const receiver = await startReceiver({ status: 500 });
+  const logged = [];
+  try {
+    await notify({
+      settings: {},
+      project: { notifications: [{ type: 'webhook', url: receiver.url }] },
+      message,
+      log: (level, text, meta) => logged.push({ level, text, meta })
+    });
+  } finally {
+    receiver.close();
+  }
+  assert.strictEqual(logged.length, 1);
+  assert.strictEqual(logged[0].meta.error, 'HTTP 500');
+});
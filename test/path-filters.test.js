@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_PUSH_COMMITS, createPathFilter, changedFilesFromPush } = require('../lib/path-filters');
+
+test('filters paths by watch and ignore globs', () => {
+  const isWatched = createPathFilter({ include: ['src/**', '*.md'], exclude: ['src/vendor/**'] });
+  assert.strictEqual(isWatched('src/app.js'), true);
+  assert.strictEqual(isWatched('docs/guide.md'), true);
+  assert.strictEqual(isWatched('src/vendor/lib.js'), false);
+  assert.strictEqual(isWatched('package.json'), false);
+  assert.strictEqual(createPathFilter()('anything.txt'), true);
+});
+
+test('collects the files of a push, or null when the payload cannot list them all', () => {
+  const commit = (file) => ({ added: [], modified: [file], removed: [] });
+  assert.deepStrictEqual(changedFilesFromPush({ commits: [commit('a.js'), commit('b.js'), commit('a.js')] }), ['a.js', 'b.js']);
+  assert.strictEqual(changedFilesFromPush({}), null);
+  assert.strictEqual(changedFilesFromPush({ commits: [] }), null);
+
+  const commits = Array.from({ length: MAX_PUSH_COMMITS }, (_, i) => commit(`f${i}.js`));
+  assert.strictEqual(changedFilesFromPush({ commits: commits.slice(1) }).length, MAX_PUSH_COMMITS - 1);
+  assert.strictEqual(changedFilesFromPush({ commits }), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { validateRegistry, createProjectRegistry } = require('../lib/project-registry');
+const { makeTempDir, projectEntry, writeRegistry, waitFor } = require('./helpers');
+
+const tmp = makeTempDir('project-registry');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('the shipped registry passes validation', () => {
+  const registry = require('../project-registry.json');
+  assert.deepStrictEqual(validateRegistry(registry), []);
+});
+
+test('reports missing fields, typos and bad values with their location', () => {
+  const { workspace_path, ...withoutWorkspace } = projectEntry('alpha');
+  const problems = validateRegistry({
+    projects: {
+      alpha: { ...withoutWorkspace, workspce_path: workspace_path },
+      beta: projectEntry('beta', { service_type: 'forever' })
+    },
+    settings: { retry_policy: { max_attempts: 0 } }
+  });
+
+  assert.deepStrictEqual(problems, [
+    "/projects/alpha must have required property 'workspace_path'",
+    "/projects/alpha must NOT have additional properties 'workspce_path'",
+    '/projects/beta/service_type must be equal to one of the allowed values',
+    '/settings/retry_policy/max_attempts must be >= 1'
+  ]);
+});
+
+test('hot reload picks up edits and keeps the last good config on a bad one', async () => {
+  const dir = path.join(tmp, 'reload');
+  fs.mkdirSync(dir);
+  const registryPath = writeRegistry(dir, { alpha: projectEntry('alpha') });
+
+  const logged = [];
+  const registry = createProjectRegistry(registryPath, {
+    log: (level, message) => logged.push({ level, message })
+  });
+  await registry.load();
+  registry.watch();
+
+  try {
+    fs.writeFileSync(registryPath, '{ "projects": ');
+    await waitFor(() => logged.some(entry => entry.level === 'error'));
+    assert.ok(registry.current().projects.alpha);
+
+    writeRegistry(dir, { alpha: projectEntry('alpha'), beta: projectEntry('beta') });
+    await waitFor(() => registry.current().projects.beta);
+  } finally {
+    registry.unwatch();
+  }
+});
+
+test('saves and deletes projects atomically, rejecting invalid entries', async () => {
+  const dir = path.join(tmp, 'crud');
+  fs.mkdirSync(dir);
+  const registryPath = writeRegistry(dir, { alpha: projectEntry('alpha') });
+  const registry = createProjectRegistry(registryPath);
+  await registry.load();
+
+  await assert.rejects(
+    registry.saveProject('beta', { enabled: true }),
+    error => error.problems.length > 0
+  );
+  assert.strictEqual(registry.current().projects.beta, undefined);
+
+  await Promise.all([
+    registry.saveProject('beta', projectEntry('beta')),
+    registry.saveProject('gamma', projectEntry('gamma'))
+  ]);
+  await registry.deleteProject('alpha');
+
+  const onDisk = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  assert.deepStrictEqual(Object.keys(onDisk.projects), ['beta', 'gamma']);
+  assert.ok(!fs.existsSync(`${registryPath}.tmp`));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseRateLimitHeaders,
+  createRateLimitGate,
+  isRetryableError,
+  retryDelay
+} = require('../lib/rate-limit');
+const { makeTempDir } = require('./helpers');
+
+const tmp = makeTempDir('rate-limit');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Clock that only moves when the gate sleeps
+function fakeClock(start = Date.parse('2024-01-01T00:00:00Z')) {
+  const clock = { time: start, slept: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.slept.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+test('parses Anthropic rate-limit headers from fetch Headers and plain objects', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  const limits = parseRateLimitHeaders(new Headers({
+    'anthropic-ratelimit-requests-remaining': '0',
+    'anthropic-ratelimit-requests-reset': '2024-01-01T00:00:30Z',
+    'anthropic-ratelimit-input-tokens-remaining': '1500',
+    'anthropic-ratelimit-input-tokens-reset': '2024-01-01T00:00:10Z',
+    'retry-after': '2'
+  }), now);
+  assert.deepStrictEqual(limits, {
+    requestsRemaining: 0,
+    requestsReset: now + 30000,
+    inputTokensRemaining: 1500,
+    inputTokensReset: now + 10000,
+    retryAfterMs: 2000,
+    receivedAt: now
+  });
+
+  assert.strictEqual(parseRateLimitHeaders({ 'anthropic-ratelimit-tokens-remaining': '7' }).inputTokensRemaining, 7);
+  assert.strictEqual(parseRateLimitHeaders(undefined).retryAfterMs, null);
+});
+
+test('holds calls until the announced reset once requests or tokens run out', async () => {
+  const clock = fakeClock();
+  const gate = createRateLimitGate(clock);
+
+  await gate.ready(100);
+  assert.deepStrictEqual(clock.slept, []);
+
+  gate.update({ requestsRemaining: 0, requestsReset: clock.time + 5000, inputTokensRemaining: null, inputTokensReset: null, retryAfterMs: null, receivedAt: clock.time });
+  await gate.ready(100);
+  assert.deepStrictEqual(clock.slept, [5000]);
+
+  // 1000 tokens left until t+10s: the first call fits, the second waits for the reset
+  gate.update({ requestsRemaining: 10, requestsReset: null, inputTokensRemaining: 1000, inputTokensReset: clock.time + 10000, retryAfterMs: null, receivedAt: clock.time });
+  await gate.ready(800);
+  assert.deepStrictEqual(clock.slept, [5000]);
+  await gate.ready(800);
+  assert.deepStrictEqual(clock.slept, [5000, 10000]);
+
+  gate.update({ requestsRemaining: null, requestsReset: null, inputTokensRemaining: null, inputTokensReset: null, retryAfterMs: 3000, receivedAt: clock.time });
+  await gate.ready();
+  assert.deepStrictEqual(clock.slept, [5000, 10000, 3000]);
+});
+
+test('retries transient errors with exponential backoff or the server retry-after', () => {
+  assert.ok(isRetryableError({ status: 429 }));
+  assert.ok(isRetryableError({ status: 529 }));
+  assert.ok(isRetryableError({ status: 500 }));
+  assert.ok(isRetryableError(new Error('socket hang up')));
+  assert.ok(!isRetryableError({ status: 400 }));
+  assert.ok(!isRetryableError({ status: 401 }));
+
+  const noJitter = { initialDelayMs: 100, random: () => 0 };
+  assert.deepStrictEqual([1, 2, 3].map(attempt => retryDelay(attempt, noJitter)), [100, 200, 400]);
+  assert.strictEqual(retryDelay(10, { ...noJitter, maxDelayMs: 1000 }), 1000);
+  assert.strictEqual(retryDelay(1, { ...noJitter, random: () => 1 }), 125);
+  assert.strictEqual(retryDelay(3, { ...noJitter, retryAfterMs: 7000 }), 7000);
+});
+
+test('the provider retries transient failures and gives up on the rest', async () => {
+  const { createProvider } = await import('../utils/llm-providers.mjs');
+  const fixtures = path.join(tmp, 'fixtures');
+  fs.mkdirSync(fixtures);
+  const provider = (status) => {
+    fs.writeFileSync(path.join(fixtures, 'analysis.error'), String(status));
+    return createProvider({ provider: 'mock', fixtures_dir: fixtures, max_retries: 2, retry_initial_delay_ms: 1 });
+  };
+
+  const overloaded = provider(529);
+  await assert.rejects(overloaded.complete({ prompt: 'x', purpose: 'analysis' }), { status: 529 });
+  assert.strictEqual(overloaded.usage().retries, 2);
+  // Other purposes are unaffected
+  assert.match((await overloaded.complete({ prompt: 'x', purpose: 'synthesis' })).text, /^Mock response/);
+
+  const invalid = provider(400);
+  await assert.rejects(invalid.complete({ prompt: 'x', purpose: 'analysis' }), { status: 400 });
+  assert.strictEqual(invalid.usage().retries, 0);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  backoffDelay
+} = require('../lib/retry-policy');
+
+test('resolves the policy from defaults, then settings, then the project', () => {
+  assert.deepStrictEqual(resolveRetryPolicy(), DEFAULT_RETRY_POLICY);
+  assert.deepStrictEqual(resolveRetryPolicy({ retry_policy: { max_attempts: 5, initial_backoff_seconds: 10 } }), {
+    ...DEFAULT_RETRY_POLICY,
+    max_attempts: 5,
+    initial_backoff_seconds: 10
+  });
+  assert.deepStrictEqual(
+    resolveRetryPolicy({ retry_policy: { max_attempts: 5, initial_backoff_seconds: 10 } }, { retry_policy: { max_attempts: 1 } }),
+    { ...DEFAULT_RETRY_POLICY, max_attempts: 1, initial_backoff_seconds: 10 }
+  );
+});
+
+test('retries the listed exit codes, whether numbers or strings', () => {
+  const policy = resolveRetryPolicy();
+  assert.strictEqual(isRetryable(policy, 1), true);
+  assert.strictEqual(isRetryable(policy, 128), true);
+  assert.strictEqual(isRetryable(policy, 'TIMEOUT'), true);
+  assert.strictEqual(isRetryable(policy, 2), false);
+  assert.strictEqual(isRetryable(policy, 'SIGKILL'), false);
+
+  const custom = resolveRetryPolicy({}, { retry_policy: { retryable_exit_codes: ['3', 'UNKNOWN'] } });
+  assert.strictEqual(isRetryable(custom, 3), true);
+  assert.strictEqual(isRetryable(custom, 'UNKNOWN'), true);
+  assert.strictEqual(isRetryable(custom, 1), false);
+});
+
+test('backs off exponentially up to max_backoff_seconds', () => {
+  const policy = resolveRetryPolicy();
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(policy, attempt)), [60000, 120000, 240000, 480000, 900000]);
+  assert.strictEqual(backoffDelay({ ...policy, initial_backoff_seconds: 0 }, 3), 0);
+  assert.strictEqual(backoffDelay({ ...policy, backoff_multiplier: 1, max_backoff_seconds: 30 }, 4), 30000);
+});
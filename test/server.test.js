@@ -0,0 +1,355 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const {
+  makeTempDir,
+  projectEntry,
+  writeRegistry,
+  writeFakeHandlers,
+  startHub,
+  sign,
+  postWebhook,
+  getJson,
+  openEvents,
+  waitFor,
+  startReceiver
+} = require('./helpers');
+
+const tmp = makeTempDir('server');
+let hub;
+let server;
+let baseUrl;
+let receiver;
+
+const push = (name, after = 'abc1234') => ({
+  repository: { name },
+  ref: 'refs/heads/main',
+  after
+});
+
+test.before(async () => {
+  receiver = await startReceiver();
+  const notifications = [{ type: 'webhook', url: receiver.url }];
+
+  const registryPath = writeRegistry(tmp, {
+    alpha: projectEntry('alpha'),
+    beta: projectEntry('beta'),
+    gamma: projectEntry('gamma', { notifications }),
+    broken: projectEntry('broken', { notifications }),
+    streamed: projectEntry('streamed'),
+    flaky: projectEntry('flaky', { retry_policy: { max_attempts: 2, initial_backoff_seconds: 0 } }),
+    delta: projectEntry('delta', { enabled: false }),
+    rotated: projectEntry('rotated', {
+      enabled: false,
+      webhook_secrets: ['env:ROTATED_SECRET_NEW', 'env:ROTATED_SECRET_OLD']
+    })
+  });
+
+  process.env.ROTATED_SECRET_NEW = 'new-secret';
+  process.env.ROTATED_SECRET_OLD = 'old-secret';
+
+  ({ hub, server, baseUrl } = await startHub({
+    LOG_DIR: path.join(tmp, 'logs'),
+    HANDLERS_DIR: writeFakeHandlers(tmp, { sleepSeconds: 1 }),
+    PROJECT_REGISTRY_PATH: registryPath,
+    MAX_CONCURRENT_JOBS: '2'
+  }));
+});
+
+test.after(async () => {
+  await waitFor(() => hub.jobStore.count('running') === 0 && hub.jobStore.count('queued') === 0);
+  await hub.jobStore.flush();
+  server.close();
+  receiver.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('health endpoint reports queue state', async () => {
+  const { status, body } = await getJson(baseUrl, '/health');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, 'ok');
+  assert.strictEqual(body.activeJobs, 0);
+  assert.strictEqual(body.queueLength, 0);
+});
+
+test('rejects webhooks with an invalid or bad-length signature', async () => {
+  const wrong = await postWebhook(baseUrl, '/webhook/generate-docs', push('alpha'), {
+    signature: 'sha256=' + '0'.repeat(64)
+  });
+  assert.strictEqual(wrong.status, 401);
+
+  const short = await postWebhook(baseUrl, '/webhook/generate-docs', push('alpha'), {
+    signature: 'sha256=abc'
+  });
+  assert.strictEqual(short.status, 401);
+});
+
+test('accepts any of a project\'s rotated secrets instead of the global one', async () => {
+  const payload = push('rotated');
+  const body = JSON.stringify(payload);
+
+  for (const secret of ['new-secret', 'old-secret']) {
+    const { status } = await postWebhook(baseUrl, '/webhook/generate-docs', payload, {
+      signature: sign(body, secret)
+    });
+    assert.strictEqual(status, 200);
+  }
+
+  const global = await postWebhook(baseUrl, '/webhook/generate-docs', payload);
+  assert.strictEqual(global.status, 401);
+});
+
+test('acknowledges a repeated X-GitHub-Delivery without processing it again', async () => {
+  const headers = { 'X-GitHub-Event': 'push', 'X-GitHub-Delivery': 'delivery-1' };
+  const featurePush = { ...push('alpha'), ref: 'refs/heads/feature' };
+
+  const first = await postWebhook(baseUrl, '/webhook/github', featurePush, { headers });
+  assert.match(first.body.message, /skipping/);
+
+  const replay = await postWebhook(baseUrl, '/webhook/github', featurePush, { headers });
+  assert.strictEqual(replay.status, 200);
+  assert.strictEqual(replay.body.message, 'Duplicate delivery, already processed');
+  assert.strictEqual(replay.body.deliveryId, 'delivery-1');
+});
+
+test('recognizes a replayed signed body under a new or missing delivery ID', async () => {
+  const featurePush = { ...push('alpha', 'replay1'), ref: 'refs/heads/feature' };
+  const first = await postWebhook(baseUrl, '/webhook/github', featurePush, {
+    headers: { 'X-GitHub-Event': 'push', 'X-GitHub-Delivery': 'delivery-2' }
+  });
+  assert.match(first.body.message, /skipping/);
+
+  for (const delivery of [{ 'X-GitHub-Delivery': 'delivery-3' }, {}]) {
+    const replay = await postWebhook(baseUrl, '/webhook/github', featurePush, {
+      headers: { 'X-GitHub-Event': 'push', ...delivery }
+    });
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.message, 'Duplicate delivery, already processed');
+  }
+});
+
+test('looks projects up in the registry', async () => {
+  const missingName = await postWebhook(baseUrl, '/webhook/generate-docs', { after: 'abc' });
+  assert.strictEqual(missingName.status, 400);
+
+  const unknown = await postWebhook(baseUrl, '/webhook/generate-docs', push('omega'));
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('acknowledges but does not queue webhooks for disabled projects', async () => {
+  const { status, body } = await postWebhook(baseUrl, '/webhook/generate-docs', push('delta'));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.message, 'Project is disabled');
+  assert.strictEqual(hub.jobStore.list({ project: 'delta' }).length, 0);
+});
+
+test('dispatches on the X-GitHub-Event header', async () => {
+  const ping = await postWebhook(baseUrl, '/webhook/github', { hook_id: 1 }, {
+    headers: { 'X-GitHub-Event': 'ping' }
+  });
+  assert.strictEqual(ping.status, 200);
+  assert.strictEqual(ping.body.message, 'pong');
+
+  const featurePush = await postWebhook(baseUrl, '/webhook/github',
+    { ...push('alpha', 'def5678'), ref: 'refs/heads/feature' },
+    { headers: { 'X-GitHub-Event': 'push' } }
+  );
+  assert.strictEqual(featurePush.status, 200);
+  assert.match(featurePush.body.message, /not refs\/heads\/main/);
+
+  const openedPr = await postWebhook(baseUrl, '/webhook/restart-service', {
+    action: 'opened',
+    repository: { name: 'alpha' },
+    pull_request: { merged: false, base: { ref: 'main' } }
+  }, { headers: { 'X-GitHub-Event': 'pull_request' } });
+  assert.strictEqual(openedPr.status, 200);
+  assert.strictEqual(openedPr.body.message, 'Not a merge event, skipping restart');
+
+  assert.strictEqual(hub.jobStore.list().length, 0);
+});
+
+test('never runs more than MAX_CONCURRENT_JOBS at once', async () => {
+  const ids = [];
+  for (const name of ['alpha', 'beta', 'gamma']) {
+    const { status, body } = await postWebhook(baseUrl, '/webhook/generate-docs', push(name));
+    assert.strictEqual(status, 202);
+    ids.push(body.jobId);
+  }
+
+  const health = await waitFor(async () => {
+    const { body } = await getJson(baseUrl, '/health');
+    return body.activeJobs === 2 ? body : null;
+  });
+  assert.strictEqual(health.queueLength, 1);
+
+  let maxRunning = 0;
+  await waitFor(() => {
+    maxRunning = Math.max(maxRunning, hub.jobStore.count('running'));
+    return ids.every(id => hub.jobStore.get(id).status === 'succeeded');
+  });
+  assert.strictEqual(maxRunning, 2);
+
+  const { body: job } = await getJson(baseUrl, `/jobs/${ids[2]}`);
+  assert.strictEqual(job.project, 'gamma');
+  assert.strictEqual(job.exitCode, 0);
+  assert.strictEqual(job.prUrl, 'https://github.com/acme/gamma/pull/7');
+  assert.strictEqual(job.outcome, 'pr_created');
+});
+
+test('notifies project channels about opened PRs and failed jobs', async () => {
+  await waitFor(() => receiver.received.some(({ body }) => body.event === 'pr_created'));
+  const prCreated = receiver.received.find(({ body }) => body.event === 'pr_created').body;
+  assert.strictEqual(prCreated.project, 'gamma');
+  assert.strictEqual(prCreated.url, 'https://github.com/acme/gamma/pull/7');
+
+  const { body } = await postWebhook(baseUrl, '/webhook/generate-docs', push('broken'));
+  await waitFor(() => hub.jobStore.get(body.jobId).status === 'failed');
+
+  const failed = await waitFor(() => receiver.received.find(({ body }) => body.event === 'job_failed'));
+  assert.strictEqual(failed.body.title, '❌ Documentation job failed for broken');
+  assert.strictEqual(failed.body.fields['Exit code'], 1);
+  assert.match(failed.body.text, /Cartographer exploded/);
+});
+
+test('coalesces pushes for a project that already has a job queued', async () => {
+  const first = await postWebhook(baseUrl, '/webhook/generate-docs', push('alpha', 'aaa1111'));
+  await waitFor(() => hub.jobStore.get(first.body.jobId).status === 'running');
+
+  const second = await postWebhook(baseUrl, '/webhook/generate-docs', push('alpha', 'bbb2222'));
+  const third = await postWebhook(baseUrl, '/webhook/generate-docs', push('alpha', 'ccc3333'));
+  assert.strictEqual(second.body.coalesced, false);
+  assert.strictEqual(third.body.coalesced, true);
+  assert.strictEqual(third.body.jobId, second.body.jobId);
+
+  const followUp = hub.jobStore.get(second.body.jobId);
+  assert.strictEqual(followUp.commit, 'ccc3333');
+  assert.deepStrictEqual(followUp.supersededCommits, ['bbb2222']);
+  assert.strictEqual(hub.jobStore.count('running'), 1);
+});
+
+test('queues a restart job for a merged pull request', async () => {
+  const { status, body } = await postWebhook(baseUrl, '/webhook/github', {
+    action: 'closed',
+    repository: { name: 'beta' },
+    pull_request: { number: 3, merged: true, merge_commit_sha: 'merge123', base: { ref: 'main' } }
+  }, { headers: { 'X-GitHub-Event': 'pull_request' } });
+  assert.strictEqual(status, 202);
+  assert.strictEqual(body.message, 'Service restart queued');
+
+  const job = await waitFor(() => {
+    const restart = hub.jobStore.get(body.jobId);
+    return restart.status === 'succeeded' ? restart : null;
+  });
+  assert.strictEqual(job.type, 'restart');
+  assert.strictEqual(job.commit, 'merge123');
+  assert.match(job.stdout, /restarted beta/);
+});
+
+test('a failed run with a follow-up queued is superseded instead of retried', async () => {
+  const first = await postWebhook(baseUrl, '/webhook/generate-docs', push('flaky', 'aaa1111'));
+  await waitFor(() => hub.jobStore.get(first.body.jobId).status === 'running');
+  const second = await postWebhook(baseUrl, '/webhook/generate-docs', push('flaky', 'bbb2222'));
+  assert.strictEqual(second.body.coalesced, false);
+
+  const failed = await waitFor(() => {
+    const job = hub.jobStore.get(first.body.jobId);
+    return job.status === 'superseded' ? job : null;
+  });
+  assert.strictEqual(failed.supersededBy, second.body.jobId);
+  assert.strictEqual(failed.attempts, 1);
+  assert.deepStrictEqual(hub.jobStore.get(second.body.jobId).supersededCommits, ['aaa1111']);
+  assert.strictEqual(hub.jobStore.list({ project: 'flaky' }).filter(job => ['queued', 'running'].includes(job.status)).length, 1);
+});
+
+test('streams a running job\'s log, replays a finished one and sends each line once', async () => {
+  const { body } = await postWebhook(baseUrl, '/webhook/generate-docs', push('streamed', 'fed4321'));
+  await waitFor(() => hub.jobStore.get(body.jobId).status === 'running');
+  const route = `/jobs/${body.jobId}/logs`;
+  const summarize = events => events.map(({ event, data }) => event === 'end' ? [event, data.status] : [event, data.seq, data.line]);
+  const handlerLines = [
+    ['stdout', 1, 'Generating docs for streamed at fed4321'],
+    ['stdout', 2, 'URL: https://github.com/acme/streamed/pull/7']
+  ];
+
+  const live = await openEvents(baseUrl, route);
+  assert.deepStrictEqual(summarize(await live.events), [...handlerLines, ['end', 'succeeded']]);
+  assert.deepStrictEqual(summarize(await (await openEvents(baseUrl, route)).events), [...handlerLines, ['end', 'succeeded']]);
+
+  // A line written while the file is replayed arrives both from the file and live
+  const rerun = await hub.jobLogs.open(body.jobId);
+  const { read } = hub.jobLogs;
+  let replay;
+  hub.jobLogs.read = (jobId) => (replay = (async () => {
+    rerun.write('stdout', 'written during replay\n');
+    await waitFor(async () => (await read(jobId)).length === 3);
+    return read(jobId);
+  })());
+  let replayed;
+  try {
+    replayed = await openEvents(baseUrl, route);
+    await waitFor(() => replay);
+    await replay;
+  } finally {
+    hub.jobLogs.read = read;
+  }
+  rerun.write('stdout', 'written after replay\n');
+  await rerun.close();
+  hub.jobLogs.end(body.jobId, 'succeeded');
+  assert.deepStrictEqual(summarize(await replayed.events), [
+    ...handlerLines,
+    ['stdout', 3, 'written during replay'],
+    ['stdout', 4, 'written after replay'],
+    ['end', 'succeeded']
+  ]);
+});
+
+test('keeps the log stream open across a retry and ends it when the job fails for good', async () => {
+  const { body } = await postWebhook(baseUrl, '/webhook/generate-docs', push('flaky', 'ccc3333'));
+  await waitFor(() => hub.jobStore.get(body.jobId).status === 'running');
+
+  const { events } = await openEvents(baseUrl, `/jobs/${body.jobId}/logs`);
+  const received = await events;
+  assert.deepStrictEqual(received.map(({ event, data }) => [event, data.seq ?? data.attempt ?? data.status]), [
+    ['stderr', 1],
+    ['retrying', 1],
+    ['stderr', 2],
+    ['end', 'failed']
+  ]);
+  assert.ok(received[1].data.nextAttemptAt);
+});
+
+test('retries a retryable failure up to max_attempts, then lists it as dead-lettered', async () => {
+  const { body } = await postWebhook(baseUrl, '/webhook/generate-docs', push('flaky', 'ddd4444'));
+  const failed = await waitFor(() => {
+    const job = hub.jobStore.get(body.jobId);
+    return job.status === 'failed' ? job : null;
+  });
+  assert.strictEqual(failed.attempts, 2);
+  assert.strictEqual(failed.exitCode, 1);
+  assert.strictEqual(failed.deadLetter, true);
+
+  const { status, body: deadLetter } = await getJson(baseUrl, '/jobs/dead-letter?project=flaky');
+  assert.strictEqual(status, 200);
+  const listed = deadLetter.jobs.find(job => job.id === body.jobId);
+  assert.deepStrictEqual([listed.status, listed.attempts, listed.deadLetter, listed.commit], ['failed', 2, true, 'ddd4444']);
+  assert.ok(deadLetter.jobs.every(job => job.deadLetter && job.project === 'flaky'));
+  assert.ok(!(await getJson(baseUrl, '/jobs/dead-letter')).body.jobs.some(job => job.status === 'succeeded'));
+});
+
+test('exposes Prometheus metrics for jobs, the queue and signature failures', async () => {
+  await waitFor(() => hub.jobStore.count('running') === 0 && hub.jobStore.count('queued') === 0);
+
+  const response = await fetch(`${baseUrl}/metrics`);
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+  const text = await response.text();
+  assert.match(text, /^# TYPE doc_hub_jobs_total counter$/m);
+  assert.match(text, /^doc_hub_jobs_total\{project="gamma",type="generate",outcome="succeeded"\} 1$/m);
+  assert.match(text, /^doc_hub_job_duration_seconds_count\{project="gamma",type="generate",outcome="succeeded"\} 1$/m);
+  assert.match(text, /^doc_hub_job_queue_wait_seconds_bucket\{project="gamma",type="generate",le="\+Inf"\} 1$/m);
+  assert.match(text, /^doc_hub_webhook_signature_failures_total\{route="\/webhook\/generate-docs"\} [1-9]/m);
+  assert.match(text, /^doc_hub_docs_consecutive_failures\{project="gamma"\} 0$/m);
+  assert.match(text, /^doc_hub_jobs_running 0$/m);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { makeTempDir, sign, WEBHOOK_SECRET } = require('./helpers');
+
+const tmp = makeTempDir('signature');
+process.env.LOG_DIR = path.join(tmp, 'logs');
+process.env.WEBHOOK_SECRET = WEBHOOK_SECRET;
+fs.mkdirSync(process.env.LOG_DIR, { recursive: true });
+
+const { verifyWebhookSignature } = require('../server');
+
+function fakeRequest(body, signature, headers = {}) {
+  return {
+    headers: signature === undefined ? headers : { 'x-hub-signature-256': signature, ...headers },
+    rawBody: body,
+    body: JSON.parse(body)
+  };
+}
+
+const body = JSON.stringify({ repository: { name: 'demo' }, after: 'abc123' });
+
+test('accepts a valid signature', () => {
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body))), true);
+});
+
+test('rejects a signature made with another secret', () => {
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body, 'other-secret'))), false);
+});
+
+test('rejects a signature over a different payload', () => {
+  const tampered = body.replace('abc123', 'def456');
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(tampered, sign(body))), false);
+});
+
+test('rejects a missing signature header', () => {
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body)), false);
+});
+
+test('rejects a bad-length signature without throwing', () => {
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, 'sha256=abc')), false);
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body) + '00')), false);
+});
+
+test('rejects everything when no secret is configured', () => {
+  const { WEBHOOK_SECRET: secret, GITHUB_WEBHOOK_SECRET: githubSecret } = process.env;
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.GITHUB_WEBHOOK_SECRET;
+  try {
+    assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body))), false);
+  } finally {
+    process.env.WEBHOOK_SECRET = secret;
+    if (githubSecret !== undefined) process.env.GITHUB_WEBHOOK_SECRET = githubSecret;
+  }
+});
+
+test('checks per-project secrets, resolving env: references', () => {
+  process.env.DEMO_SECRET_NEXT = 'next-secret';
+  const project = { webhook_secrets: ['env:DEMO_SECRET_NEXT', 'env:DEMO_SECRET_UNSET', 'legacy-secret'] };
+
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body, 'next-secret')), project), true);
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body, 'legacy-secret')), project), true);
+  assert.strictEqual(verifyWebhookSignature(fakeRequest(body, sign(body)), project), false);
+});
+
+test('signs timestamped payloads over "<timestamp>.<body>" and rejects stale ones', () => {
+  const now = String(Math.floor(Date.now() / 1000));
+  const fresh = fakeRequest(body, sign(`${now}.${body}`), { 'x-hub-timestamp': now });
+  assert.strictEqual(verifyWebhookSignature(fresh), true);
+
+  // The body signature alone does not cover the timestamp
+  const unbound = fakeRequest(body, sign(body), { 'x-hub-timestamp': now });
+  assert.strictEqual(verifyWebhookSignature(unbound), false);
+
+  const old = String(Math.floor(Date.now() / 1000) - 3600);
+  const stale = fakeRequest(body, sign(`${old}.${body}`), { 'x-hub-timestamp': old });
+  assert.strictEqual(verifyWebhookSignature(stale), false);
+});
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  resolveTemplates,
+  changedSections,
+  buildTemplateVariables
+} = require('../lib/templates');
+
+test('renders known placeholders and leaves the rest alone', () => {
+  assert.strictEqual(
+    renderTemplate('{project} at {commit_short} {unknown} {"json": 1}', { project: 'demo', commit_short: 'abc1234' }),
+    'demo at abc1234 {unknown} {"json": 1}'
+  );
+});
+
+test('prefers project templates over settings over the defaults', () => {
+  const templates = resolveTemplates(
+    { pr_title_template: 'Settings title', pr_body_template: 'Settings body' },
+    { pr_title_template: 'Project title' }
+  );
+  assert.deepStrictEqual(templates, {
+    pr_title: 'Project title',
+    pr_body: 'Settings body',
+    commit_message: DEFAULT_TEMPLATES.commit_message
+  });
+});
+
+test('lists new, changed and removed map sections', () => {
+  const before = '# Map\n\n## Overview\nold\n\n## Routes\nsame\n\n## Legacy\ngone\n';
+  const after = '# Map\n\n## Overview\nnew\n\n## Routes\nsame\n\n## Data Flow\nadded\n';
+  assert.deepStrictEqual(changedSections(before, after), ['Overview', 'Data Flow (new)', 'Legacy (removed)']);
+  assert.deepStrictEqual(changedSections(null, '## Overview\n'), ['Overview (new)']);
+});
+
+test('formats commits, tokens and cost for templates', () => {
+  const commits = Array.from({ length: 22 }, (_, i) => ({ sha: `${i}`.padStart(40, 'a'), subject: `change ${i}`, author: 'Dev' }));
+  const variables = buildTemplateVariables({
+    projectName: 'demo',
+    owner: 'acme',
+    repo: 'demo',
+    branch: 'docs/auto-update-x',
+    triggerEvent: 'refs/heads/main',
+    commitSha: 'abcdef1234567890',
+    sinceCommit: '1234567890abcdef',
+    commits,
+    sections: [],
+    linesAdded: 10,
+    linesRemoved: 2,
+    usage: { input_tokens: 1200, output_tokens: 300, estimated_cost_usd: 0.0081 }
+  });
+
+  assert.strictEqual(variables.repo, 'acme/demo');
+  assert.strictEqual(variables.commit_short, 'abcdef1');
+  assert.strictEqual(variables.since_commit, '1234567');
+  assert.strictEqual(variables.commit_count, 22);
+  assert.strictEqual(variables.commits.split('\n').length, 21);
+  assert.match(variables.commits, /^- aaaaaaa change 0 \(Dev\)/);
+  assert.match(variables.commits, /…and 2 more$/);
+  assert.strictEqual(variables.changed_sections, '_no section changes_');
+  assert.strictEqual(variables.tokens_total, 1500);
+  assert.strictEqual(variables.cost_usd, '$0.0081');
+  assert.strictEqual(buildTemplateVariables({ projectName: 'demo', owner: 'a', repo: 'b' }).cost_usd, 'n/a');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { createDeliveryStore } = require('../lib/webhook-security');
+const { makeTempDir } = require('./helpers');
+
+const tmp = makeTempDir('webhook-security');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('remembers deliveries across restarts until they expire', async () => {
+  const file = path.join(tmp, 'deliveries.jsonl');
+  const store = createDeliveryStore(file);
+  await store.load();
+
+  store.record('fresh');
+  store.record('failed');
+  store.forget('failed');
+  await store.flush();
+
+  // An entry from well outside the TTL window
+  fs.appendFileSync(file, JSON.stringify({ id: 'expired', receivedAt: Date.now() - 3 * 3600 * 1000 }) + '\n');
+
+  const reloaded = createDeliveryStore(file);
+  assert.strictEqual(await reloaded.load({ ttlHours: 1 }), 1);
+  assert.strictEqual(reloaded.has('fresh'), true);
+  assert.strictEqual(reloaded.has('failed'), false);
+  assert.strictEqual(reloaded.has('expired'), false);
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+});
@@ -1,17 +1,82 @@
 #!/usr/bin/env node
 
-import Anthropic from '@anthropic-ai/sdk';
-import { spawn } from 'child_process';
-import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, statSync } from 'fs';
-import { join, relative } from 'path';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY
-});
+import { spawn, execFileSync } from 'child_process';
+import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, statSync, rmSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { createPathFilter, isExcludedDir } from '../lib/path-filters.js';
+import {
+  resolveDocLayout,
+  isGeneratedPath,
+  moduleFile,
+  groupByTopLevelDirectory,
+  expectedOutputs,
+  relativeLink,
+  relatedDocumentsSection,
+  findRoutes,
+  renderRouteReference
+} from '../lib/doc-outputs.js';
+import {
+  DEFAULT_BUDGET,
+  countTokens,
+  selectFiles,
+  truncateToTokens,
+  groupFiles,
+  budgetExceeded,
+  formatSkipped
+} from '../lib/file-selection.js';
+import { analysisScope, reduceAnalyses, estimateReduction } from '../lib/map-reduce.js';
+import { loadLlmConfig, createProvider, estimateCost } from './llm-providers.mjs';
+
+const llmConfig = loadLlmConfig();
+const llm = createProvider(llmConfig);
 
 const projectPath = process.argv[2];
 const outputFile = process.argv[3] || '/tmp/cartographer-output.txt';
 
+// Output documents under the registry's docs_path (see lib/doc-outputs.js);
+// the sidecar state for incremental runs holds the source commit + per-group analyses
+const layout = resolveDocLayout({
+  docsPath: process.env.DOCS_PATH,
+  mapFile: process.env.CODEBASE_MAP_FILE,
+  documents: parseList(process.env.DOC_OUTPUTS)
+});
+const MAP_FILE = layout.mapFile;
+const STATE_FILE = layout.stateFile;
+const STATE_VERSION = 1;
+
+// JSON string lists passed by the hub: watch/ignore globs, output documents
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.warn('⚠️  Ignoring malformed list:', value);
+    return [];
+  }
+}
+
+// Project include/exclude globs (registry watch_paths / ignore_paths)
+const watchPaths = parseList(process.env.WATCH_PATHS);
+const ignorePaths = parseList(process.env.IGNORE_PATHS);
+const isSelected = createPathFilter({ include: watchPaths, exclude: ignorePaths });
+
+// Per-run limits (registry `budget`, see lib/file-selection.js), passed by the hub as JSON
+function loadBudget() {
+  try {
+    return { ...DEFAULT_BUDGET, ...JSON.parse(process.env.CARTOGRAPHER_BUDGET || '{}') };
+  } catch (e) {
+    console.warn('⚠️  Ignoring malformed CARTOGRAPHER_BUDGET');
+    return { ...DEFAULT_BUDGET };
+  }
+}
+
+const budget = loadBudget();
+
+// Exit code the hub maps to BUDGET_EXCEEDED (lib/docs-pipeline.js)
+const BUDGET_EXIT_CODE = 3;
+
+class BudgetExceeded extends Error {}
+
 if (!projectPath) {
   console.error('❌ Error: Project path is required');
   process.exit(1);
@@ -19,6 +84,42 @@ if (!projectPath) {
 
 console.log('🚀 Starting Programmatic Documentation Generation');
 console.log('📁 Project Path:', projectPath);
+console.log(`🤖 LLM: ${llm.name} (${llmConfig.model})`);
+
+// Token usage and estimated cost for the hub's metrics; server.js sets LLM_USAGE_FILE per job
+function reportUsage() {
+  const usage = llm.usage();
+  if (process.env.LLM_USAGE_FILE) {
+    try {
+      writeFileSync(process.env.LLM_USAGE_FILE, JSON.stringify(usage) + '\n');
+    } catch (error) {
+      console.warn('⚠️  Could not write LLM usage report:', error.message);
+    }
+  }
+
+  const cost = usage.estimated_cost_usd === null ? 'unknown cost' : `~$${usage.estimated_cost_usd.toFixed(4)}`;
+  return `${usage.input_tokens} in / ${usage.output_tokens} out over ${usage.calls} calls (${cost})`;
+}
+
+// Checks the next LLM call (its exact prompt size, plus `reserve` tokens for the
+// steps that must still follow) against the run budget. Returns the limit it
+// would break so the caller can skip that work, or throws when the budget says
+// abort or the work cannot be skipped.
+async function checkBudget(what, prompt, maxOutputTokens, { reserve = { input: 0, output: 0 }, required = false } = {}) {
+  if (!budget.max_tokens_per_run && typeof budget.max_cost_usd !== 'number') return null;
+
+  const input = await llm.countTokens(prompt);
+  const reason = budgetExceeded(
+    budget,
+    llm.usage(),
+    { input: input + reserve.input, output: maxOutputTokens + reserve.output },
+    usage => estimateCost(llmConfig, usage)
+  );
+  if (reason && (required || budget.on_exceeded === 'abort')) {
+    throw new BudgetExceeded(`${what} would exceed the ${reason}`);
+  }
+  return reason;
+}
 
 // Step 1: Run scanner script to analyze codebase
 async function runScanner() {
@@ -80,15 +181,15 @@ function fallbackFileAnalysis() {
         const fullPath = join(dir, entry);
         const stat = statSync(fullPath);
         
-        if (stat.isDirectory() && !ignoreDirs.includes(entry)) {
+        if (stat.isDirectory() && !ignoreDirs.includes(entry) &&
+            !isExcludedDir(relative(projectPath, fullPath), ignorePaths)) {
           scanDir(fullPath);
         } else if (stat.isFile()) {
           const ext = entry.split('.').pop();
           if (['js', 'ts', 'jsx', 'tsx', 'json', 'md', 'py', 'sh', 'yaml', 'yml'].includes(ext)) {
             files.push({
               path: relative(projectPath, fullPath),
-              size: stat.size,
-              tokens: Math.ceil(stat.size / 4) // Rough estimate
+              size: stat.size
             });
           }
         }
@@ -99,35 +200,11 @@ function fallbackFileAnalysis() {
   }
   
   scanDir(projectPath);
-  return { files, total_tokens: files.reduce((sum, f) => sum + f.tokens, 0) };
-}
-
-// Step 2: Group files for analysis
-function groupFiles(scanResult) {
-  const MAX_TOKENS = 120000; // Leave room for prompt overhead
-  const groups = [];
-  let currentGroup = [];
-  let currentTokens = 0;
-  
-  for (const file of scanResult.files || []) {
-    if (currentTokens + file.tokens > MAX_TOKENS && currentGroup.length > 0) {
-      groups.push(currentGroup);
-      currentGroup = [];
-      currentTokens = 0;
-    }
-    currentGroup.push(file);
-    currentTokens += file.tokens;
-  }
-  
-  if (currentGroup.length > 0) {
-    groups.push(currentGroup);
-  }
-  
-  return groups;
+  return { files };
 }
 
-// Step 3: Read file contents
-function readFiles(group) {
+// Step 3: Read file contents, cut at `maxTokens` (whole lines, with a marker) when given
+function readFiles(group, maxTokens = null) {
   const contents = [];
   for (const file of group) {
     try {
@@ -135,7 +212,7 @@ function readFiles(group) {
       const content = readFileSync(fullPath, 'utf-8');
       contents.push({
         path: file.path,
-        content: content
+        content: maxTokens ? truncateToTokens(content, maxTokens).content : content
       });
     } catch (e) {
       console.warn(`⚠️  Could not read ${file.path}`);
@@ -145,15 +222,13 @@ function readFiles(group) {
 }
 
 // Step 4: Analyze files with Claude API
-async function analyzeGroup(group, groupIndex, totalGroups) {
-  console.log(`\n🔍 Analyzing group ${groupIndex + 1}/${totalGroups} (${group.length} files)...`);
-  
-  const fileContents = readFiles(group);
-  
-  const prompt = `You are analyzing a subset of a codebase for documentation purposes.
+function analysisPrompt(group) {
+  const fileContents = readFiles(group, budget.max_file_tokens);
+
+  return `You are analyzing a subset of a codebase for documentation purposes.
 
 Files in this group:
-${fileContents.map(f => `\n## ${f.path}\n\`\`\`\n${f.content.slice(0, 50000)}\n\`\`\``).join('\n')}
+${fileContents.map(f => `\n## ${f.path}\n\`\`\`\n${f.content}\n\`\`\``).join('\n')}
 
 Please analyze these files and provide:
 1. **Purpose**: What do these files do?
@@ -162,33 +237,223 @@ Please analyze these files and provide:
 4. **Relationships**: How do they relate to each other?
 
 Keep your analysis concise but comprehensive. Focus on architectural understanding.`;
+}
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+async function analyzeGroup(prompt, group, groupIndex, totalGroups) {
+  console.log(`\n🔍 Analyzing group ${groupIndex + 1}/${totalGroups} (${group.length} files)...`);
+
+  const response = await llm.complete({
+    prompt,
+    maxTokens: llmConfig.max_tokens,
+    purpose: 'analysis'
+  });
+  return response.text;
+}
+
+// Tokens still needed after the analyses: the merges of hierarchical synthesis
+// and the final synthesis call, for the analyses made plus those in `expected`
+// (in flight or about to start, counted at their maximum answer)
+async function synthesisReserve(plan, expected, projectName) {
+  const analyses = [
+    ...plan.filter(group => group.analysis).map(group => ({ files: group.files, tokens: countTokens(group.analysis) })),
+    ...expected.map(group => ({ files: group.files, tokens: llmConfig.max_tokens }))
+  ];
+  const reduction = await estimateReduction(
+    analyses.map(({ files, tokens }) => ({ scope: analysisScope(files.map(file => file.path)), tokens })),
+    {
+      maxTokens: llmConfig.synthesis_input_tokens,
+      outputTokens: llmConfig.max_tokens,
+      promptTokens: countTokens(mergePrompt([], { level: 'overview', scope: '' }, projectName))
+    }
+  );
+  return {
+    input: reduction.input + reduction.finalTokens + countTokens(synthesisPrompt([], projectName)),
+    output: reduction.output + llmConfig.synthesis_max_tokens
+  };
+}
+
+// Analyzes pending groups with up to `llm.concurrency` calls in flight. Groups
+// are started in order, each only if the budget still leaves room for the calls
+// in flight and for merging and synthesizing everything analyzed. A group whose
+// call still fails after the provider's retries is marked `failed` and left
+// without an analysis. Resolves to the number of groups analyzed.
+async function analyzeGroups(plan, pending, skipped, projectName) {
+  const concurrency = Math.max(1, llmConfig.concurrency);
+  const running = new Set();
+  const inFlight = { groups: new Set(), input: 0, output: 0 };
+  let analyzed = 0;
+
+  for (let i = 0; i < pending.length; i++) {
+    while (running.size >= concurrency) await Promise.race(running);
+
+    const group = pending[i];
+    const prompt = analysisPrompt(group.files);
+    const synthesis = await synthesisReserve(plan, [...inFlight.groups, group], projectName);
+    const overBudget = await checkBudget(`Analysis of group ${i + 1}`, prompt, llmConfig.max_tokens, {
+      reserve: { input: synthesis.input + inFlight.input, output: synthesis.output + inFlight.output }
     });
-    
-    return response.content[0].text;
-  } catch (error) {
-    console.error(`❌ Error analyzing group ${groupIndex + 1}:`, error.message);
-    return `Analysis failed for group ${groupIndex + 1}`;
+    if (overBudget) {
+      console.warn(`⚠️  Skipping group ${i + 1}/${pending.length}: ${overBudget}`);
+      group.overBudget = overBudget;
+      group.files.forEach(file => skipped.push({ path: file.path, reason: overBudget }));
+      continue;
+    }
+
+    const reserved = { input: countTokens(prompt), output: llmConfig.max_tokens };
+    inFlight.groups.add(group);
+    inFlight.input += reserved.input;
+    inFlight.output += reserved.output;
+
+    const task = analyzeGroup(prompt, group.files, i, pending.length)
+      .then(analysis => {
+        group.analysis = analysis;
+        analyzed++;
+      })
+      .catch(error => {
+        console.error(`❌ Error analyzing group ${i + 1}:`, error.message);
+        group.failed = error.message;
+      })
+      .finally(() => {
+        inFlight.groups.delete(group);
+        inFlight.input -= reserved.input;
+        inFlight.output -= reserved.output;
+        running.delete(task);
+      });
+    running.add(task);
+  }
+
+  await Promise.all(running);
+  return analyzed;
+}
+
+// Incremental state helpers
+function git(args) {
+  return execFileSync('git', args, { cwd: projectPath, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+function loadState() {
+  const statePath = join(projectPath, STATE_FILE);
+  if (process.env.CARTOGRAPHER_FULL_RUN === '1' || !existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(readFileSync(statePath, 'utf-8'));
+    return state.version === STATE_VERSION ? state : null;
+  } catch (e) {
+    console.warn('⚠️  Could not read incremental state, running full analysis');
+    return null;
   }
 }
 
+// Files changed between the last mapped commit and HEAD, or null if unknown
+function changedFilesSince(commit) {
+  try {
+    const output = git(['diff', '--name-only', `${commit}..HEAD`]);
+    return new Set(output.split('\n').filter(Boolean));
+  } catch (e) {
+    console.warn(`⚠️  Could not diff against ${commit.substring(0, 7)}, running full analysis`);
+    return null;
+  }
+}
+
+// Keep cached groups stable: a group is reused when none of its files changed or
+// disappeared; dirty groups are re-packed and new files go into fresh groups.
+function planGroups(scanResult, state, changedFiles) {
+  if (!state || !changedFiles) {
+    return groupFiles(scanResult.files, budget.max_group_tokens).map(files => ({ files, analysis: null }));
+  }
+
+  const current = new Map((scanResult.files || []).map(file => [file.path, file]));
+  const assigned = new Set();
+  const plan = [];
+
+  for (const cached of state.groups || []) {
+    const files = cached.files.filter(p => current.has(p)).map(p => current.get(p));
+    if (files.length === 0) continue;
+    files.forEach(file => assigned.add(file.path));
+
+    const dirty = !cached.analysis ||
+      files.length !== cached.files.length ||
+      files.some(file => changedFiles.has(file.path));
+
+    if (!dirty) {
+      plan.push({ files, analysis: cached.analysis });
+    } else {
+      groupFiles(files, budget.max_group_tokens).forEach(group => plan.push({ files: group, analysis: null }));
+    }
+  }
+
+  const newFiles = [...current.values()].filter(file => !assigned.has(file.path));
+  groupFiles(newFiles, budget.max_group_tokens).forEach(group => plan.push({ files: group, analysis: null }));
+
+  return plan;
+}
+
+function saveState(commit, plan) {
+  const state = {
+    version: STATE_VERSION,
+    commit,
+    generated_at: new Date().toISOString(),
+    groups: plan.map(group => ({
+      files: group.files.map(file => file.path),
+      analysis: group.analysis
+    }))
+  };
+  writeFileSync(join(projectPath, STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+}
+
 // Step 5: Synthesize final documentation
-async function synthesizeDocumentation(analyses, projectName) {
-  console.log('\n📝 Synthesizing final documentation...');
-  
-  const prompt = `You are creating a comprehensive codebase map for the project "${projectName}".
+function scopeLabel(scope) {
+  return scope ? `${scope}/` : 'repository root';
+}
+
+function analysesSection(items) {
+  return items.map(item => `\n## Analysis of ${scopeLabel(item.scope)}\n${item.text}`).join('\n');
+}
+
+function mergePrompt(items, { level, scope }, projectName) {
+  const subject = level === 'overview' ? `these parts (${scope})` : `the \`${scopeLabel(scope)}\` ${level}`;
+  return `You are summarizing ${subject} of the project "${projectName}" for a codebase map.
+
+Here are analyses of its parts:
+
+${analysesSection(items)}
+
+Please create a single combined analysis with the following sections:
+
+### Purpose
+[What this part of the codebase is responsible for]
+
+### Key Components
+[Main modules, classes and functions, with their file paths]
+
+### Dependencies
+[What it depends on, inside and outside the codebase]
+
+### Relationships
+[How its parts work together and what the rest of the codebase uses from it]
+
+Keep every file path and component name the analyses mention that matters for the architecture. Be concise.`;
+}
+
+// One reduce step of hierarchical synthesis (lib/map-reduce.js)
+async function mergeAnalyses(items, step, projectName) {
+  const { level, scope } = step;
+  console.log(`🧩 Merging ${items.length} analyses of ${level} ${scopeLabel(scope)}...`);
+
+  const prompt = mergePrompt(items, step, projectName);
+  await checkBudget(`Merging analyses of ${scopeLabel(scope)}`, prompt, llmConfig.max_tokens, { required: true });
+  const response = await llm.complete({ prompt, maxTokens: llmConfig.max_tokens, purpose: 'reduce' });
+  return response.text;
+}
+
+function synthesisPrompt(items, projectName) {
+  return `You are creating a comprehensive codebase map for the project "${projectName}".
 
 Here are the analyses from different parts of the codebase:
 
-${analyses.map((analysis, i) => `\n## Group ${i + 1} Analysis\n${analysis}`).join('\n')}
+${analysesSection(items)}
 
 Please create a comprehensive CODEBASE_MAP.md with the following sections:
 
@@ -219,56 +484,279 @@ Please create a comprehensive CODEBASE_MAP.md with the following sections:
 [Non-obvious behaviors, warnings, and tips]
 
 Create a well-structured, comprehensive documentation that helps developers understand this codebase quickly.`;
+}
+
+async function synthesizeDocumentation(items, projectName) {
+  console.log('\n📝 Synthesizing final documentation...');
+
+  const prompt = synthesisPrompt(items, projectName);
+  // Analyses were only started with the estimated merges and this call reserved;
+  // should the estimate fall short, the run fails rather than ship no map
+  await checkBudget('Synthesis', prompt, llmConfig.synthesis_max_tokens, { required: true });
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 16000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const response = await llm.complete({
+      prompt,
+      maxTokens: llmConfig.synthesis_max_tokens,
+      purpose: 'synthesis'
     });
     
-    return response.content[0].text;
+    return response.text;
   } catch (error) {
     console.error('❌ Error synthesizing documentation:', error.message);
     throw error;
   }
 }
 
+// Step 6: Additional documents (lib/doc-outputs.js)
+async function generateModulePage(dir, files, analyses, projectName) {
+  console.log(`📄 Writing module page for ${dir}/...`);
+
+  const prompt = `You are documenting the \`${dir}/\` directory of the project "${projectName}".
+
+Files in this directory:
+${files.map(file => `- ${file}`).join('\n')}
+
+Here are the analyses of the code groups that include these files:
+
+${analyses.map((analysis, i) => `\n## Analysis ${i + 1}\n${analysis}`).join('\n')}
+
+Please create a module page with the following sections:
+
+# ${dir}/
+
+## Purpose
+[What this directory is responsible for]
+
+## Key Files
+[The important files in it and what they do]
+
+## Interfaces
+[What it exposes to the rest of the codebase and what it uses from it]
+
+## Notes
+[Conventions, gotchas and anything non-obvious]
+
+Only describe the files listed above.`;
+
+  const overBudget = await checkBudget(`Module page for ${dir}/`, prompt, llmConfig.max_tokens);
+  if (overBudget) return { skipped: overBudget };
+
+  const response = await llm.complete({ prompt, maxTokens: llmConfig.max_tokens, purpose: 'module' });
+  return { content: `${response.text.trimEnd()}\n\n[Back to the codebase map](${relativeLink(moduleFile(layout, dir), MAP_FILE)})\n` };
+}
+
+async function generateDiagrams(map, projectName) {
+  console.log('📐 Drawing architecture diagrams...');
+
+  const prompt = `You are drawing architecture diagrams for the project "${projectName}" from its codebase map:
+
+${map}
+
+Please create an architecture document with the following sections:
+
+# ${projectName} - Architecture Diagrams
+
+## Component Diagram
+[A Mermaid flowchart of the main components and how they depend on each other]
+
+## Data Flow
+[A Mermaid sequenceDiagram or flowchart of how a typical request or job moves through the system]
+
+Put each diagram in a \`\`\`mermaid code block followed by a short explanation. Only use components named in the map.`;
+
+  const overBudget = await checkBudget('Architecture diagrams', prompt, llmConfig.max_tokens);
+  if (overBudget) return { skipped: overBudget };
+
+  const response = await llm.complete({ prompt, maxTokens: llmConfig.max_tokens, purpose: 'diagrams' });
+  return { content: `${response.text.trimEnd()}\n\n[Back to the codebase map](${relativeLink(layout.diagramsFile, MAP_FILE)})\n` };
+}
+
+function writeDocument(file, content) {
+  const fullPath = join(projectPath, file);
+  mkdirSync(dirname(fullPath), { recursive: true });
+  writeFileSync(fullPath, content);
+}
+
+// Pages of directories that no longer exist (or are no longer selected)
+function removeStaleModulePages(keep) {
+  const modulesPath = join(projectPath, layout.modulesDir);
+  if (!existsSync(modulesPath)) return;
+  for (const entry of readdirSync(modulesPath)) {
+    const file = `${layout.modulesDir}/${entry}`;
+    if (entry.endsWith('.md') && !keep.includes(file)) {
+      rmSync(join(projectPath, file));
+    }
+  }
+}
+
+// Writes every configured document, the map last so it only links to what was
+// written. Returns the files written and the documents skipped for the budget
+async function writeDocuments({ map, plan, scanResult, projectName }) {
+  const has = type => layout.documents.includes(type);
+  const dirs = groupByTopLevelDirectory(scanResult.files.map(file => file.path));
+  const written = [];
+  const skipped = [];
+  const linked = { documents: ['map'], dirs: [] };
+
+  if (has('directories')) {
+    for (const [dir, files] of dirs) {
+      const analyses = plan
+        .filter(group => group.analysis && group.files.some(file => file.path.startsWith(`${dir}/`)))
+        .map(group => group.analysis);
+      const file = moduleFile(layout, dir);
+      const page = await generateModulePage(dir, files, analyses, projectName);
+      if (page.skipped) {
+        skipped.push({ path: file, reason: page.skipped });
+        continue;
+      }
+      writeDocument(file, page.content);
+      written.push(file);
+      linked.dirs.push(dir);
+    }
+    // Pages of directories still present but skipped this time stay until the next run
+    removeStaleModulePages([...dirs.keys()].map(dir => moduleFile(layout, dir)));
+    linked.documents.push('directories');
+  }
+
+  if (has('routes')) {
+    const routes = findRoutes(readFiles(scanResult.files));
+    writeDocument(layout.routesFile, renderRouteReference(projectName, layout, routes));
+    written.push(layout.routesFile);
+    linked.documents.push('routes');
+    console.log(`✅ Found ${routes.length} HTTP routes`);
+  }
+
+  if (has('diagrams')) {
+    const diagrams = await generateDiagrams(map, projectName);
+    if (diagrams.skipped) {
+      skipped.push({ path: layout.diagramsFile, reason: diagrams.skipped });
+    } else {
+      writeDocument(layout.diagramsFile, diagrams.content);
+      written.push(layout.diagramsFile);
+      linked.documents.push('diagrams');
+    }
+  }
+
+  writeDocument(MAP_FILE, map.trimEnd() + relatedDocumentsSection({ ...layout, documents: linked.documents }, linked.dirs));
+  written.unshift(MAP_FILE);
+
+  return { written, skipped };
+}
+
+// Skipped files and documents with their reasons, and the files cut to max_file_tokens
+function skippedReport(skipped, files) {
+  const truncated = files.filter(file => file.truncated).map(file => ({ path: file.path, reason: `truncated to ${budget.max_file_tokens} tokens` }));
+  return [
+    skipped.length ? `Skipped: ${skipped.length}\n${formatSkipped(skipped)}` : 'Skipped: none',
+    truncated.length ? `Truncated: ${truncated.length}\n${formatSkipped(truncated)}` : null
+  ].filter(Boolean).join('\n') + '\n';
+}
+
 // Main workflow
 async function main() {
   const startTime = Date.now();
-  const projectName = projectPath.split('/').pop();
+  // Jobs run in a temporary worktree, so prefer the name the hub passes in
+  const projectName = process.env.PROJECT_NAME || projectPath.split('/').pop();
   
   try {
-    // Step 1: Scan codebase
+    // Step 1: Scan codebase (the map and its state are outputs, not sources)
     const scanResult = await runScanner();
-    console.log(`✅ Found ${scanResult.files?.length || 0} files (${scanResult.total_tokens || 0} tokens)`);
-    
-    // Step 2: Group files
-    const groups = groupFiles(scanResult);
-    console.log(`✅ Created ${groups.length} analysis groups`);
-    
-    // Step 3-4: Analyze each group
-    const analyses = [];
-    for (let i = 0; i < groups.length; i++) {
-      const analysis = await analyzeGroup(groups[i], i, groups.length);
-      analyses.push(analysis);
+    const scannedCount = scanResult.files?.length || 0;
+    const candidates = (scanResult.files || []).filter(file =>
+      !isGeneratedPath(layout, file.path) && isSelected(file.path)
+    );
+    if (watchPaths.length || ignorePaths.length) {
+      console.log(`✅ Path rules kept ${candidates.length}/${scannedCount} files`);
+    }
+
+    // Lockfiles, generated code and large data files are not worth the tokens;
+    // max_files keeps code over data and docs
+    const selection = selectFiles(readFiles(candidates), budget);
+    const skipped = selection.skipped;
+    const overMaxFiles = skipped.filter(file => file.reason.startsWith('over max_files')).length;
+    if (overMaxFiles && budget.on_exceeded === 'abort') {
+      throw new BudgetExceeded(`${selection.selected.length + overMaxFiles} files to analyze, max_files is ${budget.max_files}`);
+    }
+    scanResult.files = selection.selected;
+    const totalTokens = scanResult.files.reduce((sum, file) => sum + file.tokens, 0);
+    console.log(`✅ Selected ${scanResult.files.length} files (${totalTokens} tokens), skipped ${skipped.length}`);
+
+    // Step 2: Group files, reusing cached analyses for groups untouched since the last map
+    let headCommit = null;
+    try {
+      headCommit = git(['rev-parse', 'HEAD']);
+    } catch (e) {
+      console.warn('⚠️  Not a git repository, incremental mode disabled');
+    }
+
+    const state = headCommit ? loadState() : null;
+    const changedFiles = state ? changedFilesSince(state.commit) : null;
+    const plan = planGroups(scanResult, state, changedFiles);
+    const pending = plan.filter(group => group.analysis === null);
+
+    if (changedFiles) {
+      console.log(`✅ Incremental run since ${state.commit.substring(0, 7)}: ${changedFiles.size} changed files`);
+    }
+    console.log(`✅ Created ${plan.length} analysis groups (${plan.length - pending.length} reused from cache)`);
+
+    // Nothing changed and every document exists: keep them rather than re-synthesizing identical content
+    const topLevelDirs = [...groupByTopLevelDirectory(scanResult.files.map(file => file.path)).keys()];
+    const outputs = expectedOutputs(layout, topLevelDirs);
+    if (pending.length === 0 && outputs.every(file => existsSync(join(projectPath, file)))) {
+      const summary = `✅ Documentation Up To Date
+
+Project: ${projectName}
+Groups: ${plan.length} (all reused)
+Output: ${outputs.join(', ')} (unchanged)
+Tokens: ${reportUsage()}
+${skippedReport(skipped, scanResult.files)}`;
+      writeFileSync(outputFile, summary);
+      console.log('\n' + summary);
+      process.exit(0);
     }
     
-    // Step 5: Synthesize documentation
-    const documentation = await synthesizeDocumentation(analyses, projectName);
-    
-    // Step 6: Write to docs/CODEBASE_MAP.md
-    const docsDir = join(projectPath, 'docs');
-    if (!existsSync(docsDir)) {
-      mkdirSync(docsDir, { recursive: true });
+    // Step 3-4: Analyze groups without a cached analysis, in parallel
+    const analyzed = await analyzeGroups(plan, pending, skipped, projectName);
+    if (plan.every(group => group.overBudget)) {
+      throw new BudgetExceeded('the budget does not cover analyzing any group');
+    }
+
+    // Half-empty docs are worse than none: past the threshold the run fails (and
+    // is retried by the hub); below it, failed groups are left out and retried
+    // on the next run
+    const failed = pending.filter(group => group.failed);
+    const attempted = pending.filter(group => !group.overBudget).length;
+    if (failed.length && failed.length / attempted > llmConfig.max_failed_group_fraction) {
+      throw new Error(`${failed.length} of ${attempted} groups failed analysis (limit ${Math.round(llmConfig.max_failed_group_fraction * 100)}%): ${failed[0].failed}`);
+    }
+    failed.forEach(group => group.files.forEach(file => skipped.push({ path: file.path, reason: 'analysis failed' })));
+
+    const covered = plan.filter(group => group.analysis);
+    if (covered.length === 0) {
+      throw new Error('No group analyses to synthesize');
     }
+
+    // Step 5: Synthesize documentation, first reducing the analyses per directory
+    // and subsystem when they do not fit into one prompt
+    const reduced = await reduceAnalyses(
+      covered.map(group => ({ scope: analysisScope(group.files.map(file => file.path)), text: group.analysis })),
+      {
+        maxTokens: llmConfig.synthesis_input_tokens,
+        tokensOf: item => countTokens(item.text),
+        merge: (items, step) => mergeAnalyses(items, step, projectName),
+        concurrency: llmConfig.concurrency
+      }
+    );
+    const documentation = await synthesizeDocumentation(reduced.items, projectName);
     
-    const codebaseMapPath = join(docsDir, 'CODEBASE_MAP.md');
-    writeFileSync(codebaseMapPath, documentation);
+    // Step 6: Write the map and the other configured documents under docs_path
+    const documents = await writeDocuments({ map: documentation, plan, scanResult, projectName });
+    skipped.push(...documents.skipped);
+
+    if (headCommit) {
+      saveState(headCommit, plan);
+    }
     
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     
@@ -276,13 +764,15 @@ async function main() {
     const summary = `✅ Documentation Generation Complete
 
 Project: ${projectName}
-Files Analyzed: ${scanResult.files?.length || 0}
-Groups: ${groups.length}
-Output: docs/CODEBASE_MAP.md
+Files Analyzed: ${covered.reduce((sum, group) => sum + group.files.length, 0)}
+Groups: ${plan.length} (${analyzed} analyzed, ${plan.length - pending.length} reused, ${failed.length} failed, ${pending.length - analyzed - failed.length} over budget)
+Synthesis: ${reduced.levels.length ? reduced.levels.map(step => `${step.merges} ${step.level} merges`).join(', ') + ', then the map' : 'single pass'}
+Output: ${documents.written.join(', ')}
 Time: ${elapsed}s
-
+Tokens: ${reportUsage()}
+${skippedReport(skipped, scanResult.files)}
 Documentation has been successfully generated at:
-${codebaseMapPath}
+${join(projectPath, MAP_FILE)}
 `;
     
     writeFileSync(outputFile, summary);
@@ -290,10 +780,14 @@ ${codebaseMapPath}
     
     process.exit(0);
   } catch (error) {
-    const errorMsg = `❌ Documentation generation failed: ${error.message}`;
+    const overBudget = error instanceof BudgetExceeded;
+    const errorMsg = overBudget ?
+      `❌ Budget exceeded: ${error.message}` :
+      `❌ Documentation generation failed: ${error.message}`;
     console.error(errorMsg);
+    console.error(`Tokens: ${reportUsage()}`);
     writeFileSync(outputFile, errorMsg);
-    process.exit(1);
+    process.exit(overBudget ? BUDGET_EXIT_CODE : 1);
   }
 }
 
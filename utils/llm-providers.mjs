@@ -0,0 +1,249 @@
+/**
+ * LLM Provider Layer
+ *
+ * Cartographer talks to a provider through `complete({ prompt, maxTokens, purpose })`,
+ * which resolves to `{ text, usage: { input_tokens, output_tokens } }`, and
+ * measures prompts with `countTokens(prompt)` before sending them. Every
+ * provider also tallies its calls; `usage()` returns the totals with an estimated
+ * cost, which Cartographer reports back to the hub for its metrics.
+ *
+ * Calls wait for the provider's rate limits and transient failures are retried
+ * with backoff (lib/rate-limit.js), up to `max_retries` per call.
+ *
+ * Configuration comes from the registry (`settings.llm`, overridden per project
+ * by `llm`) and is passed in by the hub as LLM_CONFIG JSON. LLM_PROVIDER, when
+ * set, overrides the configured provider (e.g. LLM_PROVIDER=mock in CI).
+ *
+ * Providers:
+ *   anthropic - Claude Messages API
+ *   mock      - deterministic offline responses, optionally from fixture files;
+ *               a `<purpose>.error` fixture holding an HTTP status fails those calls
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { countTokens } from '../lib/file-selection.js';
+import { parseRateLimitHeaders, createRateLimitGate, isRetryableError, retryDelay } from '../lib/rate-limit.js';
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 4096,
+  synthesis_max_tokens: 16000,
+  // Analysis tokens per synthesis prompt; beyond that they are merged
+  // hierarchically first (lib/map-reduce.js)
+  synthesis_input_tokens: 60000,
+  temperature: null,
+  fixtures_dir: null,
+  pricing: null,
+  // Cartographer: analysis calls in flight, retries per call, and the share of
+  // groups that may fail before the run does
+  concurrency: 4,
+  max_retries: 3,
+  retry_initial_delay_ms: 1000,
+  max_failed_group_fraction: 0.25
+};
+
+// USD per million tokens, matched by model name prefix. `llm.pricing` in the
+// registry ({ input_per_mtok, output_per_mtok }) covers models not listed here.
+export const MODEL_PRICING = {
+  'claude-opus-4': { input_per_mtok: 15, output_per_mtok: 75 },
+  'claude-sonnet-4': { input_per_mtok: 3, output_per_mtok: 15 },
+  'claude-3-7-sonnet': { input_per_mtok: 3, output_per_mtok: 15 },
+  'claude-3-5-sonnet': { input_per_mtok: 3, output_per_mtok: 15 },
+  'claude-3-5-haiku': { input_per_mtok: 0.8, output_per_mtok: 4 }
+};
+
+// Estimated cost in USD, or null when the model's pricing is unknown
+export function estimateCost(config, usage) {
+  if (config.provider === 'mock') return 0;
+
+  const pricing = config.pricing ||
+    Object.entries(MODEL_PRICING).find(([prefix]) => config.model?.startsWith(prefix))?.[1];
+  if (!pricing) return null;
+
+  return (usage.input_tokens * pricing.input_per_mtok + usage.output_tokens * pricing.output_per_mtok) / 1e6;
+}
+
+export function loadLlmConfig(env = process.env) {
+  let config = {};
+  try {
+    config = JSON.parse(env.LLM_CONFIG || '{}');
+  } catch (e) {
+    console.warn('⚠️  Ignoring malformed LLM_CONFIG');
+  }
+
+  return {
+    ...DEFAULT_LLM_CONFIG,
+    ...config,
+    ...(env.LLM_PROVIDER ? { provider: env.LLM_PROVIDER } : {}),
+    ...(env.LLM_FIXTURES_DIR ? { fixtures_dir: env.LLM_FIXTURES_DIR } : {})
+  };
+}
+
+function createAnthropicProvider(config) {
+  // Retries are ours (createProvider), so they share the rate-limit gate
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY,
+    maxRetries: 0
+  });
+
+  return {
+    name: 'anthropic',
+    model: config.model,
+
+    async complete({ prompt, maxTokens }) {
+      const { data: response, response: raw } = await client.messages.create({
+        model: config.model,
+        max_tokens: maxTokens,
+        ...(config.temperature !== null ? { temperature: config.temperature } : {}),
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }).withResponse();
+
+      return {
+        text: response.content[0].text,
+        usage: response.usage,
+        headers: raw.headers
+      };
+    },
+
+    // Exact count from the API; the local count if that is unavailable
+    async countTokens(prompt) {
+      try {
+        const result = await client.messages.countTokens({
+          model: config.model,
+          messages: [{ role: 'user', content: prompt }]
+        });
+        return result.input_tokens;
+      } catch (error) {
+        return countTokens(prompt);
+      }
+    }
+  };
+}
+
+// Offline provider: same prompt in, same text out
+function createMockProvider(config) {
+  const digestOf = (prompt) => createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+
+  // `<purpose>-<digest>.md` pins one prompt, `<purpose>.md` covers every call of that kind
+  function readFixture(purpose, digest) {
+    if (!config.fixtures_dir) return null;
+    for (const name of [`${purpose}-${digest}.md`, `${purpose}.md`]) {
+      const fixturePath = join(config.fixtures_dir, name);
+      if (existsSync(fixturePath)) return readFileSync(fixturePath, 'utf-8');
+    }
+    return null;
+  }
+
+  // `<purpose>.error` holds the HTTP status every call of that kind fails with
+  function failFromFixture(purpose) {
+    const fixturePath = config.fixtures_dir && join(config.fixtures_dir, `${purpose}.error`);
+    if (!fixturePath || !existsSync(fixturePath)) return;
+    const status = parseInt(readFileSync(fixturePath, 'utf-8'), 10);
+    throw Object.assign(new Error(`Mock ${purpose} error (${status})`), { status, headers: {} });
+  }
+
+  // Synthesis, module pages, diagrams: echo the heading skeleton the prompt asks for,
+  // so downstream checks see every section
+  function synthesize(prompt, digest) {
+    const template = prompt.slice(prompt.lastIndexOf('\nPlease create'));
+    const headings = template.split('\n').filter(line => /^#{1,3} /.test(line));
+    if (headings.length === 0) {
+      return `Mock response ${digest}.`;
+    }
+    return headings
+      .map(heading => `${heading}\n\nMock content for "${heading.replace(/^#+ /, '')}" (${digest}).\n`)
+      .join('\n');
+  }
+
+  function analyze(prompt, digest) {
+    const files = prompt.split('\n').filter(line => line.startsWith('## ')).map(line => line.slice(3));
+    return [
+      `**Purpose**: Mock analysis ${digest}.`,
+      '**Key Components**:',
+      ...files.map(file => `- \`${file}\``)
+    ].join('\n');
+  }
+
+  return {
+    name: 'mock',
+    model: config.model,
+
+    async complete({ prompt, purpose = 'analysis' }) {
+      failFromFixture(purpose);
+      const digest = digestOf(prompt);
+      const text = readFixture(purpose, digest) ||
+        (purpose === 'analysis' ? analyze(prompt, digest) : synthesize(prompt, digest));
+
+      return {
+        text,
+        usage: {
+          input_tokens: countTokens(prompt),
+          output_tokens: countTokens(text)
+        }
+      };
+    },
+
+    async countTokens(prompt) {
+      return countTokens(prompt);
+    }
+  };
+}
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+export function createProvider(config) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = factory(config);
+  const totals = { calls: 0, retries: 0, input_tokens: 0, output_tokens: 0 };
+  const gate = createRateLimitGate();
+
+  return {
+    ...provider,
+
+    async complete(request) {
+      for (let attempt = 1; ; attempt++) {
+        await gate.ready(countTokens(request.prompt));
+        try {
+          const response = await provider.complete(request);
+          gate.update(parseRateLimitHeaders(response.headers));
+          totals.calls++;
+          totals.input_tokens += response.usage?.input_tokens || 0;
+          totals.output_tokens += response.usage?.output_tokens || 0;
+          return response;
+        } catch (error) {
+          const limits = parseRateLimitHeaders(error.headers);
+          gate.update(limits);
+          if (attempt > config.max_retries || !isRetryableError(error)) throw error;
+
+          const delay = retryDelay(attempt, { initialDelayMs: config.retry_initial_delay_ms, retryAfterMs: limits.retryAfterMs });
+          console.warn(`⚠️  ${request.purpose || 'LLM'} call failed (${error.status || error.message}), retry ${attempt}/${config.max_retries} in ${delay}ms`);
+          totals.retries++;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    },
+
+    usage() {
+      return {
+        provider: provider.name,
+        model: provider.model,
+        ...totals,
+        estimated_cost_usd: estimateCost(config, totals)
+      };
+    }
+  };
+}